@@ -1,34 +1,230 @@
 ﻿// allez-orm.mjs
 // AllezORM — minimal browser ORM on top of sql.js (WASM)
-// - Pure client-side
-// - IndexedDB persistence (debounced auto-save)
-// - Plug-in schemas with optional versioned upgrades
-// - Simple table helpers (insert/upsert/update/deleteSoft/remove/findById/searchLike)
+// - Pure client-side (also runs in Node with file-backed persistence)
+// - Pluggable persistence: IndexedDB (default), OPFS, memory, Node file
+// - One save scheduler: debounce with a max-wait ceiling, single save in flight, flush on page hide
+// - Plug-in schemas with ordered, transactional migrations (allez_migrations history)
+// - Automatic schema diffing for existing tables (ADD COLUMN, or copy-and-rename rebuild)
+// - Simple table helpers (insert/upsert/update/deleteSoft/restore/remove/findById/searchLike)
+// - Managed created/updated timestamps and soft-delete-aware finders
+// - Column codecs (boolean/json/date/bigint) applied by the table helpers
+// - Per-column validation rules checked before table writes (ValidationError)
+// - Bulk insertMany/upsertMany (one transaction, reused prepared statements, one save)
+// - Transactions with nested SAVEPOINTs (persisted only on outermost commit), run one at a time
+// - Fluent, parameterized query builder (where/whereIn/orderBy/limit/offset/select)
+// - Keyset pagination with opaque cursors (paginate)
+// - LRU cache of prepared statements shared by query/get/execute
+// - Query instrumentation (onQuery, slowQueryMs) and explain() with full-scan flags
+// - Offline-first sync: trigger-maintained change log, push/pull with conflict resolution
+// - Declarative relations (belongsTo/hasMany/hasOne) with batched eager loading
+// - Change events (on("change")) and live queries re-run when their tables change
+// - Multi-tab mode: one leader tab (Web Locks) writes and persists; other tabs forward writes to it
+// - Worker mode: sql.js and persistence in a dedicated worker behind the same async API
+// - Full-text search declared per schema (FTS5, or FTS4 on builds without it), ranked by bm25
+// - Backup/restore: SQLite file export/import, JSON and CSV dumps and FK-ordered imports
+// - At-rest encryption of the stored image (AES-GCM; raw key or PBKDF2 passphrase) with rekey()
 
 /**
  * @typedef {Object} Schema
  * @property {string} table               // table name
  * @property {string} createSQL           // CREATE TABLE IF NOT EXISTS ...
  * @property {string[]=} extraSQL         // indexes / triggers / FTS setup
- * @property {number=} version            // defaults to 1
- * @property {(db:any,from:number,to:number)=>void|Promise<void>=} onUpgrade
+ * @property {number=} version            // defaults to the highest migration version, else 1
+ * @property {Migration[]=} migrations     // ordered upgrade steps for existing tables
+ * @property {(db:any,from:number,to:number)=>void|Promise<void>=} onUpgrade  // legacy; prefer migrations
+ * @property {Record<string,Relation>=} relations  // names usable in `include`
+ * @property {boolean|{createdAt?:string|false, updatedAt?:string|false}=} timestamps
+ *           // true = created_at/updated_at, filled by insert/upsert/update
+ * @property {boolean|string=} softDelete  // true = deleted_at; finders hide rows where it is set
+ * @property {string|string[]=} primaryKey  // key column(s) for update/remove/findById/upsert; default "id"
+ * @property {{columns:string[], tokenize?:string}=} fts  // full-text index kept in sync by triggers; see search()
+ * @property {boolean=} sync              // log row writes in allez_changes for sync(); needs a PRIMARY KEY
+ * @property {Record<string, ColumnCodec>=} columns // how table() converts values, e.g. { meta: "json" }
+ * @property {Record<string, ColumnRule>=} rules     // checked by table() writes and validate()
+ */
+
+/**
+ * Checks for one column. Apart from `required` (undefined, null or ""), rules
+ * skip null values. `validate` returns true to accept, or false / a message to
+ * reject; `message` replaces the built-in messages for the column.
+ * @typedef {Object} ColumnRule
+ * @property {boolean=} required
+ * @property {number|bigint|Date=} min      // numbers, bigints and Dates
+ * @property {number|bigint|Date=} max
+ * @property {number=} minLength            // strings and arrays
+ * @property {number=} maxLength
+ * @property {RegExp=} pattern              // strings
+ * @property {any[]=} enum                  // allowed values
+ * @property {(value:any, row:Record<string,any>)=>boolean|string=} validate
+ * @property {string=} message
+ */
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} column
+ * @property {string} rule      // "required" | "min" | "max" | ... | "validate"
+ * @property {string} message
+ * @property {number=} row      // index into the rows of insertMany/upsertMany
+ */
+
+/**
+ * "boolean": 0/1 <-> true/false (also accepts "0"/"1"/"true"/"false"). "json":
+ * TEXT <-> any JSON value. "date": ISO-8601 TEXT (or epoch ms) <-> Date.
+ * "bigint": INTEGER <-> BigInt, read without rounding.
+ * @typedef {"boolean"|"json"|"date"|"bigint"} ColumnCodec
+ */
+
+/**
+ * Link from this table's rows to rows of `table`; build with belongsTo/hasMany/hasOne.
+ * @typedef {Object} Relation
+ * @property {"belongsTo"|"hasMany"|"hasOne"} type
+ * @property {string} table        // related table
+ * @property {string} foreignKey   // belongsTo: column on this table; hasMany/hasOne: column on `table`
+ * @property {string} key          // belongsTo: column on `table`; hasMany/hasOne: column on this table
+ */
+
+/**
+ * One schema upgrade step, taking a table from the previous version to `version`.
+ * Each step runs in its own transaction and is recorded in allez_migrations.
+ * @typedef {Object} Migration
+ * @property {number} version
+ * @property {(tx:AllezORM)=>void|Promise<void>} up
+ * @property {(tx:AllezORM)=>void|Promise<void>=} down   // needed for migrateTo() rollbacks
+ */
+
+/**
+ * Outcome of a write. `row` is set when the helper was called with `{ returning: true }`.
+ * @typedef {Object} WriteResult
+ * @property {number} changes           // rows inserted/updated/deleted by the statement
+ * @property {number} lastInsertRowid   // rowid of the most recent INSERT on this connection
+ * @property {Record<string, any>=} row
+ */
+
+/**
+ * Rows of one table written by one statement (or one committed transaction).
+ * @typedef {Object} ChangeEvent
+ * @property {string} table
+ * @property {"insert"|"update"|"delete"} op
+ * @property {number[]} ids   // rowids; empty when SQLite doesn't report them (e.g. DELETE without WHERE)
+ */
+
+/**
+ * One row-level change exchanged by sync(). `pk` holds the primary key
+ * column(s); upserts carry the whole row. `changedAt` is the row's updated_at
+ * (with timestamps) or the time of the write, ISO-8601.
+ * @typedef {Object} SyncChange
+ * @property {string} table
+ * @property {"upsert"|"delete"} op
+ * @property {Record<string, any>} pk
+ * @property {Record<string, any>=} row
+ * @property {string=} changedAt
+ */
+
+/**
+ * @typedef {Object} SyncOptions
+ * @property {(changes: SyncChange[]) => Promise<void>} push   // resolve once the backend stored the batch
+ * @property {(cursor: any) => Promise<{changes: SyncChange[], cursor: any, hasMore?: boolean}>} pull
+ * @property {"lww"|((c: {table: string, local: SyncChange, remote: SyncChange}) => "local"|"remote"|Record<string, any>|Promise<any>)=} conflict
+ * @property {number=} batchSize                                  // changes per push (default 500)
  */
 
 /**
  * @typedef {Object} InitOptions
  * @property {string=} dbName
- * @property {number=} autoSaveMs
+ * @property {string=} filename           // Node only: SQLite file to load from / save to
+ * @property {StorageAdapter|null=} storage  // where bytes are persisted; null disables persistence
+ * @property {number=} autoSaveMs       // debounce before writes are saved (default 1500)
+ * @property {number=} autoSaveMaxWaitMs // longest a write waits while later writes keep pushing the save back (default 10000)
  * @property {(file:string)=>string=} wasmLocateFile
  * @property {Schema[]=} schemas
  * @property {Record<string,{default:Schema}>=} schemaModules
+ * @property {boolean=} strictColumns   // reject unknown payload keys (default true) instead of dropping them
+ * @property {SchemaDiffMode=} schemaDiff // how registerSchemas reconciles existing tables (default "apply")
+ * @property {boolean=} multiTab         // browser: one leader tab writes; others forward writes to it
+ * @property {boolean|string|URL=} worker // run in a worker (true = allez-orm.worker.mjs); see openWorkerDb
+ * @property {EncryptionOptions=} encryption // encrypt the stored image; init fails on a wrong key
+ * @property {number=} statementCacheSize // prepared statements kept for reuse, by SQL text (default 100; 0 = off)
+ * @property {(info: QueryInfo) => void=} onQuery // called after every statement run by exec/execute/query/get, the table helpers, and each row of insertMany/upsertMany
+ * @property {number=} slowQueryMs       // console.warn statements that take at least this long
+ */
+
+/**
+ * @typedef {Object} QueryInfo
+ * @property {string} sql
+ * @property {any[]} params
+ * @property {number} ms       // wall time of the statement
+ * @property {number} rows     // rows returned (reads) or changed (writes)
+ * @property {unknown=} error  // set when the statement failed
+ */
+
+/**
+ * One step of an EXPLAIN QUERY PLAN. `fullScan` marks a table read start to end
+ * without an index (named by its alias when it has one).
+ * @typedef {Object} PlanNode
+ * @property {string} detail
+ * @property {boolean} fullScan
+ * @property {PlanNode[]} children
+ */
+
+/**
+ * Exactly one of `key` (AES-GCM CryptoKey, or 16/32 raw bytes) or `passphrase`
+ * (PBKDF2-SHA256 with a random salt stored alongside the image).
+ * @typedef {Object} EncryptionOptions
+ * @property {CryptoKey|Uint8Array|ArrayBuffer=} key
+ * @property {string=} passphrase
+ * @property {number=} iterations // PBKDF2 rounds for a new salt (default 310000)
+ */
+
+/**
+ * "apply": ADD COLUMN where possible, otherwise rebuild the table (never when the
+ *   table has columns missing from createSQL; those are reported and kept).
+ * "safe": only ADD COLUMN; tables needing a rebuild are reported and left alone.
+ * "dry-run": report planned DDL, change nothing. "off": no diffing.
+ * @typedef {"apply"|"safe"|"dry-run"|"off"} SchemaDiffMode
+ */
+
+/**
+ * Difference between a Schema's createSQL and the live table.
+ * @typedef {Object} SchemaPlan
+ * @property {string} table
+ * @property {{kind:"add"|"drop"|"alter"|"foreignKeys"|"unique", column?:string, from?:string, to?:string}[]} changes
+ * @property {boolean} rebuild        // needs create-copy-rename instead of ALTER TABLE
+ *                                    // ("drop" changes are informational; columns are never dropped)
+ * @property {string[]} statements    // DDL/DML that will run, in order
+ * @property {string[]} recreate      // existing indexes/triggers re-created (best effort) after a rebuild
+ */
+
+/**
+ * Persistence backend. Names are opaque keys (dbName, or a path for file storage);
+ * bytes are a full SQLite image from db.export().
+ * @typedef {Object} StorageAdapter
+ * @property {(name:string)=>Promise<Uint8Array|null>} load
+ * @property {(name:string,bytes:Uint8Array)=>Promise<void>} save
+ * @property {(name:string)=>Promise<void>} remove
+ * @property {()=>Promise<string[]>} list
  */
 
 const DEFAULT_DB_NAME = "allez.db";
 const DEFAULT_AUTOSAVE_MS = 1500;
+const DEFAULT_AUTOSAVE_MAX_WAIT_MS = 10000;
+const DEFAULT_STATEMENT_CACHE_SIZE = 100;
 const isBrowser = typeof window !== "undefined";
+const isNode = !isBrowser && typeof process !== "undefined" && !!process.versions?.node;
+const isWebWorker = typeof WorkerGlobalScope !== "undefined";
+const DDL_RE = /^\s*(CREATE|ALTER|DROP)\b/i;
+const SQLITE_HEADER = "SQLite format 3\u0000";
+// target table of a plain INSERT/REPLACE/UPDATE/DELETE (fallback when the update hook is silent)
+const DML_RE = /^\s*(?:(INSERT|REPLACE)(?:\s+OR\s+\w+)?\s+INTO|(UPDATE)(?:\s+OR\s+\w+)?|(DELETE)\s+FROM)\s+("(?:[^"]|"")+"|[\w$]+)/i;
 
-// -------- sql.js loader (browser-safe, no node core deps) --------
+// -------- sql.js loader (browser-safe; node core deps only imported lazily under Node) --------
 async function loadSqlJs(opts = {}) {
+  // 0) Node: use the installed package; the wasm sits next to sql-wasm.js, no network needed.
+  if (isNode) {
+    const mod = await import("sql.js/dist/sql-wasm.js");
+    const initSqlJs = mod.default || mod;
+    return await initSqlJs(opts.wasmLocateFile ? { locateFile: opts.wasmLocateFile } : {});
+  }
+
   // 1) If user included <script src="https://sql.js.org/dist/sql-wasm.js">, use it.
   if (isBrowser && window.initSqlJs) {
     return await window.initSqlJs({
@@ -63,138 +259,892 @@ export class AllezORM {
     this.SQL = SQL;
     this.db = db;
     this.dbName = opts.dbName ?? DEFAULT_DB_NAME;
+    this.filename = opts.filename ?? null;
+    /** @type {StorageAdapter|null} */
+    this.storage = resolveStorage(opts);
     this.autoSaveMs = opts.autoSaveMs ?? DEFAULT_AUTOSAVE_MS;
+    this.autoSaveMaxWaitMs = opts.autoSaveMaxWaitMs ?? DEFAULT_AUTOSAVE_MAX_WAIT_MS;
     this.saveTimer = null;
+    this.strictColumns = opts.strictColumns ?? true;
+    this.schemaDiff = opts.schemaDiff ?? "apply";
+    this.statementCacheSize = opts.statementCacheSize ?? DEFAULT_STATEMENT_CACHE_SIZE;
+    this.onQuery = opts.onQuery ?? null;
+    this.slowQueryMs = opts.slowQueryMs ?? null;
+    this.#setupHandle();
   }
 
+  // table -> column names (from PRAGMA table_info); cleared on any DDL
+  #columnCache = new Map();
+
+  // SQL text -> prepared statement, least recently used first; freed on any DDL
+  // and whenever the handle is reopened
+  #statements = new Map();
+
+  // table -> registered Schema (for migrateTo)
+  #schemas = new Map();
+
+  // transaction state: depth of open BEGIN/SAVEPOINTs, writes inside them,
+  // and whether a save was requested while a transaction was open
+  #txDepth = 0;
+  #txDirty = false;
+  #saveDeferred = false;
+
+  // write lock: writes and transactions started outside a transaction run one
+  // at a time, in call order. The open transaction's owner token is carried by
+  // the handle its callback receives (#scope is set while a handle call starts)
+  // and, where the runtime tracks async context, by the callback itself; calls
+  // with that owner join the transaction instead of waiting for it.
+  #locked = false;
+  #lockQueue = [];
+  #txOwner = null;
+  #txHandle = null;
+  #scope = null;
+
+  // save scheduling: when the oldest unsaved write happened (null when clean), the
+  // save in flight (one at a time), whether another pass is wanted after it, and
+  // the page-lifecycle listener that flushes when the page is hidden
+  #dirtySince = null;
+  #saving = null;
+  #saveRequested = false;
+  #onPageHide = null;
+
+  // at-rest encryption: { key, kdf, iterations, salt } used for every save, or null
+  #cipher = null;
+
+  // event name -> listeners; row writes seen by the update hook, as [op, table, rowid],
+  // held until the statement or outermost transaction finishes
+  #listeners = new Map();
+  #changes = [];
+
+  // multi-tab mode (null when off): this tab's role and id, the leader's id, the
+  // held leader lock, forwarded writes awaiting the leader (follower) or waiting
+  // for a transaction to end (leader), change events not yet broadcast, the
+  // statements a follower transaction will replay on the leader, and an image
+  // received while a transaction was open
+  #role = null;
+  #tabId = null;
+  #channel = null;
+  #leaderId = null;
+  #leaderKnown = null;
+  #leaderFound = null;
+  #releaseLock = null;
+  #requests = new Map();
+  #requestSeq = 0;
+  #inbox = [];
+  #outbox = [];
+  #recording = null;
+  #pendingImage = null;
+
+  // "fts5" | "fts4": full-text module this sql.js build provides (checked on first use)
+  #ftsModule = null;
+
+  // the sync() run in progress, shared by concurrent callers
+  #syncing = null;
+
   // run arbitrary SQL (DDL/DML). Returns true on success.
   async exec(sql, params = []) {
-    if (params && params.length) {
-      const stmt = this.db.prepare(sql);
-      try {
-        stmt.bind(params);
-        while (stmt.step()) { /* drain */ }
-      } finally {
-        stmt.free();
-      }
-    } else {
-      this.db.exec(sql);
-    }
-    if (typeof this.saveNow === "function") await this.saveNow();
+    await this.#exclusive(this.#caller, () => this.#run(sql, params, "script"));
+    this.#scheduleSave();
     return true;
   }
 
   run(sql, params) { return this.exec(sql, params); }
 
+  /**
+   * Run `fn` inside BEGIN/COMMIT; any thrown error rolls back and is rethrown.
+   * `fn` receives `tx`, this instance bound to the transaction: do all of its
+   * work through `tx` and await it before returning. Writes and transactions
+   * started elsewhere on the instance meanwhile wait until this one ends, so
+   * concurrent transactions never mix. Where async context is tracked (Node),
+   * calls on the instance made inside `fn` join the transaction; in browsers
+   * they wait like any other. `tx.transaction()` opens a SAVEPOINT,
+   * so an inner failure only undoes the inner block. Nothing is persisted
+   * until the outermost transaction commits.
+   * @template T
+   * @param {(tx: AllezORM) => T | Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  transaction(fn) {
+    return this.#exclusive(this.#caller, () => this.#transaction(fn));
+  }
+
+  async #transaction(fn) {
+    const tx = this.#begin();
+    let owner = null;
+    if (tx.depth === 0) {
+      owner = this.#txOwner = {};
+      this.#txHandle = transactionHandle(this, call => this.#within(owner, call));
+    }
+    const handle = this.#txHandle;
+    let result;
+    try {
+      result = await (owner && txContext ? txContext.run(owner, () => fn(handle)) : fn(handle));
+      if (!tx.replay) this.#commit(tx);
+    } catch (err) {
+      this.#rollback(tx);
+      throw err;
+    }
+    if (tx.replay) {
+      // follower tab: the local run only produced results; the leader commits the statements
+      const batch = this.#recording;
+      this.#recording = null;
+      this.#rollback(tx);
+      if (batch.length) await this.#forward(batch);
+    }
+    return result;
+  }
+
+  /**
+   * Run `fn` holding the write lock, once earlier writes and transactions are
+   * done. Work owned by the open transaction is part of it and runs right away.
+   */
+  async #exclusive(owner, fn) {
+    if (owner && owner === this.#txOwner) return await fn();
+    if (this.#locked) {
+      // without async context, a call on the instance inside the transaction callback
+      // can't be told from outside writes, and would wait for its own transaction
+      const hint = this.#txOwner && !txContext ? setTimeout(() => console.warn(
+        `[AllezORM] a write has waited ${LOCK_WAIT_WARN_MS / 1000}s for an open transaction; ` +
+        "inside transaction(fn), write through the `tx` argument, not the instance."), LOCK_WAIT_WARN_MS) : null;
+      await new Promise(resolve => this.#lockQueue.push(resolve));
+      clearTimeout(hint);
+    }
+    this.#locked = true;
+    try {
+      return await fn();
+    } finally {
+      const next = this.#lockQueue.shift();
+      if (next) next(); // hand the lock over
+      else this.#locked = false;
+    }
+  }
+
+  /** Owner token of the transaction the current call belongs to, if any. */
+  get #caller() {
+    return this.#scope ?? txContext?.getStore() ?? null;
+  }
+
+  /** Start `call` as work of the transaction owned by `owner`. */
+  #within(owner, call) {
+    const outer = this.#scope;
+    this.#scope = owner;
+    try {
+      return call();
+    } finally {
+      this.#scope = outer;
+    }
+  }
+
+  #begin() {
+    const depth = this.#txDepth;
+    const tx = {
+      depth,
+      sp: `allez_sp_${depth}`,
+      changes: this.#changes.length,
+      recorded: this.#recording?.length ?? 0,
+      replay: depth === 0 && this.#role === "follower"
+    };
+    this.db.exec(depth === 0 ? "BEGIN" : `SAVEPOINT ${tx.sp}`);
+    if (tx.replay) this.#recording = [];
+    this.#txDepth++;
+    return tx;
+  }
+
+  #commit(tx) {
+    this.db.exec(tx.depth === 0 ? "COMMIT" : `RELEASE ${tx.sp}`);
+    this.#txDepth--;
+    if (tx.depth === 0) this.#endTransaction(true);
+  }
+
+  #rollback(tx) {
+    try {
+      this.db.exec(tx.depth === 0 ? "ROLLBACK" : `ROLLBACK TO ${tx.sp}; RELEASE ${tx.sp}`);
+    } catch {
+      // SQLite may already have rolled back (e.g. after SQLITE_FULL); keep the original error
+    }
+    this.#schemaChanged(); // rolled-back DDL
+    this.#changes.length = tx.changes; // and rolled-back rows
+    if (this.#recording) this.#recording.length = tx.recorded;
+    this.#txDepth--;
+    if (tx.depth === 0) {
+      this.#recording = null;
+      this.#endTransaction(false);
+    }
+  }
+
+  /** True while a transaction() callback is running. */
+  get inTransaction() {
+    return this.#txDepth > 0;
+  }
+
+  /** False in a multiTab follower, which forwards its writes to the leader tab. */
+  get isLeader() {
+    return this.#role !== "follower";
+  }
+
   /** @param {InitOptions=} opts */
   static async init(opts = {}) {
+    if (opts.worker) return await openWorkerDb(opts);
     const SQL = await loadSqlJs(opts);
 
-    // Restore DB from IndexedDB, or create fresh
-    const saved = isBrowser ? (await idbGet(opts.dbName ?? DEFAULT_DB_NAME)) : null;
+    if (opts.filename && !isNode) throw new Error("init: `filename` is only supported in Node.");
+    if (opts.multiTab && !(globalThis.navigator?.locks && typeof BroadcastChannel === "function")) {
+      throw new Error("init: `multiTab` needs Web Locks (navigator.locks) and BroadcastChannel.");
+    }
+    const storage = resolveStorage(opts);
+
+    // Restore DB from storage, or create fresh
+    let saved = storage ? await storage.load(storageKey(opts)) : null;
+    const encrypted = !!saved && isEncryptedImage(saved);
+    let cipher = null;
+    if (encrypted) {
+      if (!opts.encryption) throw new Error(`init: "${storageKey(opts)}" is encrypted; pass \`encryption\` with its key or passphrase.`);
+      cipher = await makeCipher(opts.encryption, readEncHeader(saved));
+      saved = await decryptImage(cipher, saved);
+      if (!saved) throw new Error(`init: cannot decrypt "${storageKey(opts)}": wrong key or passphrase, or the stored data is corrupted.`);
+    } else if (opts.encryption) {
+      cipher = await makeCipher(opts.encryption);
+    }
     const db = saved ? new SQL.Database(saved) : new SQL.Database();
 
-    const orm = new AllezORM(SQL, db, opts);
+    const orm = new AllezORM(SQL, db, { ...opts, storage });
+    orm.#cipher = cipher;
     await orm.execute("PRAGMA foreign_keys = ON;");
     await orm.#ensureMeta();
 
     const schemas = collectSchemas(opts);
     if (schemas.length) {
-      await orm.registerSchemas(schemas);
+      try {
+        await orm.registerSchemas(schemas);
+      } catch (err) {
+        // keep migration steps that did commit, and don't leave a save timer behind
+        await orm.close().catch(() => {});
+        throw err;
+      }
     }
     db.exec("PRAGMA foreign_keys = ON;");
+    if (opts.multiTab) await orm.#joinTabs();
+    if (orm.storage) orm.#watchPageLifecycle();
+    if (saved && cipher && !encrypted) await orm.saveNow(); // encrypt a plaintext database now
 
     return orm;
   }
 
   // ---------------- core SQL helpers ----------------
 
+  /**
+   * Run one statement and schedule a save.
+   * @returns {Promise<WriteResult>}
+   */
   async execute(sql, params = []) {
-    const stmt = this.db.prepare(sql);
+    return await this.#exclusive(this.#caller, () => this.#run(sql, params, "run"));
+  }
+
+  /** execute() for code that already holds the write lock (or runs inside the transaction). */
+  async #execute(sql, params = []) {
+    return await this.#run(sql, params, "run");
+  }
+
+  /**
+   * Run a write here, or on the leader tab when this is a multiTab follower
+   * outside a transaction. mode: "run" | "returning" (collect rows) | "script" (exec()).
+   */
+  async #run(sql, params, mode) {
+    if (this.#role === "follower" && this.#txDepth === 0) {
+      return (await this.#forward([[sql, params, mode]]))[0];
+    }
+    return this.#runOne(sql, params, mode);
+  }
+
+  #runOne(sql, params, mode) {
+    return mode === "script" ? this.#script(sql, params) : this.#write(sql, params, mode === "returning");
+  }
+
+  /** exec() body: one or more statements, no result rows, no scheduled save. */
+  #script(sql, params) {
+    const mark = this.#changes.length;
+    const start = performance.now();
+    const [totalBefore] = this.#firstRow("SELECT total_changes()");
     try {
-      stmt.bind(params);
-      while (stmt.step()) { /* drain */ }
-    } finally {
-      stmt.free();
+      if (params && params.length) {
+        const stmt = this.db.prepare(sql);
+        try {
+          stmt.bind(params);
+          while (stmt.step()) { /* drain */ }
+        } finally {
+          stmt.free();
+        }
+      } else {
+        this.db.exec(sql);
+      }
+    } catch (err) {
+      this.#changes.length = mark; // the failed statement was rolled back
+      this.#report(sql, params, start, 0, err);
+      throw err;
+    }
+    this.#report(sql, params, start, this.#firstRow("SELECT total_changes()")[0] - totalBefore);
+    this.#recording?.push([sql, params, "script"]);
+    if (DDL_RE.test(sql)) this.#schemaChanged();
+    this.#flushChanges();
+    return true;
+  }
+
+  /** The single write path; with `collect`, also returns rows (for RETURNING, integers as BigInt). */
+  #write(sql, params, collect) {
+    const [totalBefore] = this.#firstRow("SELECT total_changes()");
+    const mark = this.#changes.length;
+    const start = performance.now();
+    const rows = [];
+    try {
+      this.#withStatement(sql, stmt => {
+        stmt.bind(params);
+        while (stmt.step()) {
+          if (collect) rows.push(stmt.getAsObject(null, { useBigInt: true })); // decoded by table()
+        }
+      });
+    } catch (err) {
+      this.#changes.length = mark;
+      this.#report(sql, params, start, 0, err);
+      throw err;
     }
+    this.#recording?.push([sql, params, collect ? "returning" : "run"]);
+    // changes() keeps the count of the last DML statement, so only trust it if this one wrote
+    const [changes, lastInsertRowid, totalAfter] =
+      this.#firstRow("SELECT changes(), last_insert_rowid(), total_changes()");
+    const result = { changes: totalAfter === totalBefore ? 0 : changes, lastInsertRowid };
+    this.#report(sql, params, start, result.changes);
+    if (DDL_RE.test(sql)) this.#schemaChanged();
+    if (result.changes && this.#changes.length === mark) {
+      // no hook callbacks: truncate-optimized DELETE, WITHOUT ROWID table, or an old sql.js
+      const m = DML_RE.exec(sql);
+      if (m) {
+        const op = m[1] ? "insert" : m[2] ? "update" : "delete";
+        this.#changes.push([op, unquoteIdent(m[4]), null]);
+      }
+    }
+    this.#flushChanges();
     this.#scheduleSave();
+    if (collect) result.row = rows[0];
+    return result;
   }
 
-  async query(sql, params = []) {
-    const stmt = this.db.prepare(sql);
-    const out = [];
+  /**
+   * Run a SELECT and return plain objects. `bigint: true` returns INTEGER
+   * values as BigInt instead of (possibly rounded) numbers.
+   * @param {string} sql
+   * @param {any[]=} params
+   * @param {{ bigint?: boolean }=} options
+   */
+  async query(sql, params = [], { bigint = false } = {}) {
+    const start = performance.now();
+    const config = bigint ? { useBigInt: true } : undefined;
+    let out;
     try {
-      stmt.bind(params);
-      while (stmt.step()) out.push(stmt.getAsObject());
-    } finally {
-      stmt.free();
+      out = this.#withStatement(sql, stmt => {
+        const rows = [];
+        stmt.bind(params);
+        while (stmt.step()) rows.push(stmt.getAsObject(null, config));
+        return rows;
+      });
+    } catch (err) {
+      this.#report(sql, params, start, 0, err);
+      throw err;
     }
+    this.#report(sql, params, start, out.length);
     return out;
   }
 
-  async get(sql, params = []) {
-    const rows = await this.query(sql, params);
+  async get(sql, params = [], options) {
+    const rows = await this.query(sql, params, options);
     return rows[0];
   }
 
+  /**
+   * EXPLAIN QUERY PLAN of `sql` as a tree, plus the tables (or aliases) it reads
+   * with a full scan; those usually point at a missing index.
+   * @param {string} sql
+   * @param {any[]=} params
+   * @returns {Promise<{ plan: PlanNode[], fullScans: string[] }>}
+   */
+  async explain(sql, params = []) {
+    const steps = this.#withStatement(`EXPLAIN QUERY PLAN ${sql}`, stmt => {
+      const rows = [];
+      stmt.bind(params);
+      while (stmt.step()) rows.push(stmt.getAsObject());
+      return rows;
+    });
+    // subqueries and CTEs are scanned by name too, but live in temporary storage
+    const derived = new Set(steps.map(r => /^(?:CO-ROUTINE|MATERIALIZE) (\S+)/.exec(r.detail)?.[1]).filter(Boolean));
+    const nodes = new Map();
+    const plan = [];
+    const fullScans = [];
+    for (const r of steps) {
+      const scan = /^SCAN (?:TABLE )?(\S+)(?: AS (\S+))?$/.exec(r.detail);
+      const name = scan && (scan[2] ?? scan[1]);
+      const fullScan = !!scan && scan[1] !== "CONSTANT" && !derived.has(name);
+      if (fullScan) fullScans.push(name);
+      const node = { detail: r.detail, fullScan, children: [] };
+      nodes.set(r.id, node);
+      (nodes.get(r.parent)?.children ?? plan).push(node);
+    }
+    return { plan, fullScans };
+  }
+
+  /**
+   * Column names of `table` (PRAGMA table_info), cached until the next DDL.
+   * @param {string} table
+   * @returns {Promise<string[]>}
+   */
+  async columns(table) {
+    let cols = this.#columnCache.get(table);
+    if (!cols) {
+      const rows = await this.query(`PRAGMA table_info(${quoteIdent(table)})`);
+      if (!rows.length) throw new Error(`Unknown table "${table}"`);
+      cols = rows.map(r => r.name);
+      this.#columnCache.set(table, cols);
+    }
+    return cols;
+  }
+
+  // ---------------- change events ----------------
+
+  /**
+   * Subscribe to an event. "change" receives a ChangeEvent per table and
+   * operation after each write, or after the outermost transaction commits
+   * (rolled-back writes are never reported). "saving", "saved" and "saveError"
+   * follow persistence: "saved" reports `{ pending }` (writes made while saving),
+   * "saveError" reports `{ error }`. Returns an unsubscribe function.
+   * @param {"change"|"saving"|"saved"|"saveError"} event
+   * @param {(e: any) => void} fn
+   * @returns {() => void}
+   */
+  on(event, fn) {
+    let set = this.#listeners.get(event);
+    if (!set) this.#listeners.set(event, set = new Set());
+    set.add(fn);
+    return () => this.off(event, fn);
+  }
+
+  off(event, fn) {
+    this.#listeners.get(event)?.delete(fn);
+  }
+
+  /**
+   * Run `sql` now and again whenever a table it reads changes; `cb` gets the rows.
+   * Changes reported together (one statement or transaction) cause one re-run.
+   * Returns a function that stops the subscription.
+   * @param {string} sql
+   * @param {any[]} params
+   * @param {(rows: Record<string, any>[]) => void} cb
+   * @param {{ onError?: (err: unknown) => void }=} options
+   * @returns {() => void}
+   */
+  live(sql, params, cb, { onError = err => console.error("[AllezORM] live query failed:", err) } = {}) {
+    let active = true;
+    let queued = false;
+    let tables = null; // tables the query reads; recomputed each run (DDL may change them)
+    const run = async () => {
+      queued = false;
+      if (!active) return;
+      try {
+        tables = await this.#readTables(sql);
+        const rows = await this.query(sql, params);
+        if (active) cb(rows);
+      } catch (err) {
+        onError(err);
+      }
+    };
+    const off = this.on("change", ({ table }) => {
+      if (queued || (tables && !tables.has(table))) return;
+      queued = true;
+      queueMicrotask(run);
+    });
+    void run();
+    return () => {
+      active = false;
+      off();
+    };
+  }
+
+  /** Tables a SELECT reads, from the root pages its EXPLAIN program opens. */
+  async #readTables(sql) {
+    const program = await this.query(`EXPLAIN ${sql}`);
+    const pages = [...new Set(program
+      .filter(op => (op.opcode === "OpenRead" || op.opcode === "ReopenIdx") && op.p3 === 0)
+      .map(op => op.p2))];
+    if (!pages.length) return new Set();
+    const rows = await this.query(
+      `SELECT DISTINCT tbl_name FROM sqlite_master WHERE rootpage IN (${pages.map(() => "?").join(",")})`,
+      pages
+    );
+    return new Set(rows.map(r => r.tbl_name));
+  }
+
   // ---------------- table helper ----------------
 
   table(table) {
     const self = this;
+    const t = quoteIdent(table);
+    // a helper made through a transaction's `tx` writes inside it; others write in
+    // the transaction they are called from, or wait for the lock
+    const owner = this.#scope;
+    const exclusive = fn => self.#exclusive(owner ?? self.#caller, fn);
+
+    // Key column(s) from the schema, and a WHERE clause matching one key.
+    // Single-column keys accept a bare value or { col: value }; composite keys need the object.
+    const keyColumns = () => primaryKeyOf(self.schema(table));
+    function keyWhere(key, op) {
+      const cols = keyColumns();
+      const obj = key !== null && typeof key === "object" ? key : cols.length === 1 ? { [cols[0]]: key } : null;
+      const missing = obj ? cols.filter(c => obj[c] === undefined) : cols;
+      if (missing.length) {
+        throw new Error(`${op}: key for "${table}" must be an object with ${cols.join(", ")} (missing ${missing.join(", ")})`);
+      }
+      return {
+        sql: cols.map(c => `${quoteIdent(c)}=?`).join(" AND "),
+        params: cols.map(c => obj[c]),
+        match: Object.fromEntries(cols.map(c => [c, obj[c]]))
+      };
+    }
+
+    // Set or clear the soft-delete column (also bumps the updated-at stamp). Schemas
+    // without `softDelete` (e.g. from older CLI versions) use a deleted_at or deletedAt
+    // column if the table has one; their finders don't hide deleted rows.
+    async function setDeleted(key, ts, op) {
+      const stamps = stampColumns(self.schema(table));
+      if (!stamps.deletedAt) {
+        const known = await self.columns(table);
+        stamps.deletedAt = ["deleted_at", "deletedAt"].find(c => known.includes(c)) ?? null;
+      }
+      if (!stamps.deletedAt) {
+        throw new Error(`${op}: table "${table}" has no soft-delete column (add deleted_at, or set softDelete: "<column>" in its schema)`);
+      }
+      const patch = withStamps({ [stamps.deletedAt]: ts }, stamps, false);
+      const cols = Object.keys(patch);
+      const where = keyWhere(key, op);
+      return await exclusive(() => self.#execute(
+        `UPDATE ${t} SET ${cols.map(c => `${quoteIdent(c)}=?`).join(",")} WHERE ${where.sql}`,
+        [...cols.map(c => patch[c]), ...where.params]
+      ));
+    }
+
+    // Run a helper's statement; `returning` appends RETURNING * and puts the row on the result.
+    async function write(sql, params, returning) {
+      if (!returning) return await exclusive(() => self.#execute(sql, params));
+      const result = await exclusive(() => self.#run(`${sql} RETURNING *`, params, "returning"));
+      if (result.row) decodeRow(result.row, codecsOf(self.schema(table)));
+      return result;
+    }
+
+    // Copy of a payload with codec columns converted to what SQLite stores.
+    const encode = obj => encodeRow(obj, codecsOf(self.schema(table)));
+
+    // Throw a ValidationError listing every rule `obj` breaks (checked before encoding).
+    function check(obj, op, partial = false) {
+      const issues = validateRow(self.schema(table)?.rules, obj, partial);
+      if (issues.length) throw new ValidationError(op, table, issues);
+      return obj;
+    }
+
+    // Rows of `sql` with codec columns decoded (BigInt-exact when a column needs it).
+    async function read(sql, params) {
+      const codecs = codecsOf(self.schema(table));
+      const rows = await self.query(sql, params, { bigint: needsBigInt(codecs) });
+      for (const row of rows) decodeRow(row, codecs);
+      return rows;
+    }
+
+    // Keys of `obj` that are real columns; unknown keys throw (strictColumns) or are dropped.
+    function pickColumns(obj, known, op) {
+      const cols = [];
+      for (const k of Object.keys(obj)) {
+        if (known.includes(k)) cols.push(k);
+        else if (self.strictColumns) throw new Error(`${op}: unknown column "${k}" on table "${table}"`);
+      }
+      return cols;
+    }
+    async function payloadColumns(obj, op) {
+      return pickColumns(obj, await self.columns(table), op);
+    }
+
+    function insertSQL(cols, verb = "INSERT") {
+      if (!cols.length) return `${verb} INTO ${t} DEFAULT VALUES`;
+      return `${verb} INTO ${t} (${cols.map(quoteIdent).join(",")}) VALUES (${cols.map(() => "?").join(",")})`;
+    }
+    // INSERT ... ON CONFLICT(<conflict>) DO UPDATE SET <update>. `conflict` defaults to the
+    // primary key (it must match a PRIMARY KEY or UNIQUE index); `update` defaults to every
+    // other payload column except the created-at stamp.
+    function upsertSQL(cols, stamps, op, { conflict, update } = {}) {
+      if (!cols.length) throw new Error(`${op}: no known columns for table "${table}"`);
+      const target = conflict ? [].concat(conflict) : keyColumns();
+      const sets = (update ? [].concat(update) : cols.filter(c => c !== stamps.createdAt))
+        .filter(c => !target.includes(c));
+      const missing = sets.find(c => !cols.includes(c));
+      if (missing) throw new Error(`${op}: update column "${missing}" is not in the payload`);
+      return upsertStatement(table, cols, target, sets);
+    }
+
+    // Run one statement per row inside a single transaction, preparing each
+    // distinct column list once. Yields to the event loop every `chunkSize` rows;
+    // the write lock is held meanwhile, so other writes wait rather than join the batch.
+    async function writeMany(op, rows, { chunkSize, returnIds, raw = false }, sqlFor) {
+      if (!Array.isArray(rows)) throw new Error(`${op}: rows must be an array`);
+      const known = await self.columns(table);
+      const stamps = stampColumns(self.schema(table));
+      const rules = raw ? undefined : self.schema(table)?.rules;
+      rows = rows.map(row => withStamps(row, stamps, true));
+      const issues = rows.flatMap((row, i) => validateRow(rules, row, false).map(x => ({ ...x, row: i })));
+      if (issues.length) throw new ValidationError(op, table, issues);
+      const ids = returnIds ? [] : null;
+      let count = 0;
+      await exclusive(() => self.#transaction(async () => {
+        const stmts = new Map();
+        const lastId = self.db.prepare("SELECT last_insert_rowid()");
+        try {
+          for (let i = 0; i < rows.length; i++) {
+            if (i && i % chunkSize === 0) await new Promise(r => setTimeout(r, 0));
+            const row = raw ? rows[i] : encode(rows[i]);
+            const cols = pickColumns(row, known, op);
+            const key = cols.join("\u0000");
+            let stmt = stmts.get(key);
+            if (!stmt) stmts.set(key, stmt = self.db.prepare(sqlFor(cols, stamps)));
+            const values = cols.map(c => row[c]);
+            const start = performance.now();
+            try {
+              stmt.run(values);
+            } catch (err) {
+              self.#report(stmt.getSQL(), values, start, 0, err);
+              throw err;
+            }
+            const changed = self.db.getRowsModified();
+            self.#report(stmt.getSQL(), values, start, changed);
+            self.#recording?.push([stmt.getSQL(), values, "run"]);
+            count += changed;
+            if (ids) {
+              lastId.step();
+              ids.push(changed ? lastId.get()[0] : null);
+              lastId.reset();
+            }
+          }
+        } finally {
+          for (const stmt of stmts.values()) stmt.free();
+          lastId.free();
+        }
+        self.#scheduleSave();
+      }));
+      return ids ? { count, ids } : { count };
+    }
+
     return {
-      async insert(obj) {
-        const cols = Object.keys(obj);
-        const qs = cols.map(() => "?").join(",");
-        await self.execute(
-          `INSERT INTO ${table} (${cols.join(",")}) VALUES (${qs})`,
-          cols.map(c => obj[c])
-        );
+      // where/whereIn/orderBy/limit/offset/select/all/first/count start a fresh query
+      ...tableQuery(self, table),
+      /** Insert one row; `{ returning: true }` also resolves the stored row. */
+      async insert(obj, { returning = false } = {}) {
+        obj = encode(check(withStamps(obj, stampColumns(self.schema(table)), true), "insert"));
+        const cols = await payloadColumns(obj, "insert");
+        return await write(insertSQL(cols), cols.map(c => obj[c]), returning);
       },
-      async upsert(obj) {
-        const cols = Object.keys(obj);
-        const qs = cols.map(() => "?").join(",");
-        const updates = cols.map(c => `${c}=excluded.${c}`).join(",");
-        await self.execute(
-          `INSERT INTO ${table} (${cols.join(",")}) VALUES (${qs})
-           ON CONFLICT(id) DO UPDATE SET ${updates}`,
-          cols.map(c => obj[c])
-        );
+      /**
+       * Insert, or update on conflict. Options: `conflict` column(s) naming a
+       * PRIMARY KEY/UNIQUE index (default: primary key) and `update`, the
+       * columns to overwrite on conflict (default: all others in `obj`), and
+       * `returning` to resolve the stored row.
+       */
+      async upsert(obj, options = {}) {
+        const stamps = stampColumns(self.schema(table));
+        obj = encode(check(withStamps(obj, stamps, true), "upsert"));
+        const cols = await payloadColumns(obj, "upsert");
+        await assertColumns(self, table, [].concat(options.conflict ?? [], options.update ?? []), "upsert");
+        return await write(upsertSQL(cols, stamps, "upsert", options), cols.map(c => obj[c]), options.returning);
       },
-      async update(id, patch) {
-        const cols = Object.keys(patch);
-        if (!cols.length) return;
-        const assigns = cols.map(c => `${c}=?`).join(",");
-        await self.execute(
-          `UPDATE ${table} SET ${assigns} WHERE id=?`,
-          [...cols.map(c => patch[c]), id]
+      /**
+       * Insert rows in one transaction with one save at the end.
+       * onConflict: "abort" (default) | "ignore" | "replace". With `returnIds`,
+       * `ids[i]` is the rowid of rows[i] (null when ignored). With `raw`, values
+       * are stored as given: no column codecs and no validation rules.
+       */
+      async insertMany(rows, { chunkSize = 500, onConflict = "abort", returnIds = false, raw = false } = {}) {
+        const verb = INSERT_VERBS[onConflict];
+        if (!verb) throw new Error(`insertMany: unknown onConflict "${onConflict}"`);
+        return await writeMany("insertMany", rows, { chunkSize, returnIds, raw }, cols => insertSQL(cols, verb));
+      },
+      /** upsert() for many rows, in one transaction with one save at the end. */
+      async upsertMany(rows, { chunkSize = 500, conflict, update } = {}) {
+        await assertColumns(self, table, [].concat(conflict ?? [], update ?? []), "upsertMany");
+        return await writeMany("upsertMany", rows, { chunkSize, returnIds: false },
+          (cols, stamps) => upsertSQL(cols, stamps, "upsertMany", { conflict, update }));
+      },
+      /** Update one row by key; `{ returning: true }` also resolves the updated row. */
+      async update(key, patch, { returning = false } = {}) {
+        const where = keyWhere(key, "update");
+        if (!Object.keys(patch).length) return { changes: 0, lastInsertRowid: 0 };
+        patch = encode(check(withStamps(patch, stampColumns(self.schema(table)), false), "update", true));
+        const cols = await payloadColumns(patch, "update");
+        if (!cols.length) return { changes: 0, lastInsertRowid: 0 };
+        const assigns = cols.map(c => `${quoteIdent(c)}=?`).join(",");
+        return await write(
+          `UPDATE ${t} SET ${assigns} WHERE ${where.sql}`,
+          [...cols.map(c => patch[c]), ...where.params],
+          returning
         );
       },
-      async deleteSoft(id, ts = new Date().toISOString()) {
-        // keep naming consistent across projects
-        try {
-          await self.execute(`UPDATE ${table} SET deletedAt=? WHERE id=?`, [ts, id]);
-        } catch {
-          await self.execute(`UPDATE ${table} SET deleted_at=? WHERE id=?`, [ts, id]);
-        }
+      async deleteSoft(key, ts = new Date().toISOString()) {
+        return await setDeleted(key, ts, "deleteSoft");
+      },
+      /** Clear the soft-delete marker. */
+      async restore(key) {
+        return await setDeleted(key, null, "restore");
       },
-      async remove(id) {
-        await self.execute(`DELETE FROM ${table} WHERE id=?`, [id]);
+      async remove(key) {
+        const where = keyWhere(key, "remove");
+        return await exclusive(() => self.#execute(`DELETE FROM ${t} WHERE ${where.sql}`, where.params));
       },
-      async findById(id) {
-        return await self.get(`SELECT * FROM ${table} WHERE id=?`, [id]);
+      /** Find by primary key (a bare value, or an object for composite keys). */
+      async findById(key, { include, withDeleted = false } = {}) {
+        let q = tableQuery(self, table).where(keyWhere(key, "findById").match);
+        if (withDeleted) q = q.withDeleted();
+        if (include?.length) q = q.include(include);
+        return await q.first();
+      },
+      /**
+       * Full-text search over the schema's `fts` columns, best matches (bm25) first.
+       * Each word matches as a prefix; `raw: true` passes `q` as MATCH syntax.
+       * `highlight` adds `_highlight` ({ column: text with matches wrapped }) and
+       * `snippet` adds `_snippet` (best fragment); pass true or { open, close, ... }.
+       * Marked-up text is not HTML-escaped.
+       */
+      async search(q, { limit = 50, offset = 0, highlight, snippet, raw = false, include, withDeleted = false } = {}) {
+        const fts = self.schema(table)?.fts;
+        if (!fts) throw new Error(`search: table "${table}" has no fts in its schema`);
+        const name = ftsTable(table);
+        const f = quoteIdent(name);
+        const ddl = (await self.get(`SELECT sql FROM sqlite_master WHERE type='table' AND name=?`, [name]))?.sql;
+        if (!ddl) throw new Error(`search: full-text table for "${table}" is missing; register its schema first`);
+        const fts5 = /\bUSING\s+fts5\b/i.test(ddl);
+        const match = raw ? String(q) : ftsQuery(q, fts5);
+        if (!match) return [];
+
+        const head = [`${t}.*`];
+        const params = [];
+        const hl = highlight && { open: "<mark>", close: "</mark>", ...(highlight === true ? {} : highlight) };
+        if (hl && fts5) {
+          fts.columns.forEach((_, i) => head.push(`highlight(${f}, ${i}, ?, ?) AS "_hl${i}"`));
+          fts.columns.forEach(() => params.push(hl.open, hl.close));
+        } else if (hl) {
+          head.push(`offsets(${f}) AS "_offsets"`);
+        }
+        if (snippet) {
+          const sn = { open: "<mark>", close: "</mark>", ellipsis: "…", tokens: 12, ...(snippet === true ? {} : snippet) };
+          head.push(fts5 ? `snippet(${f}, -1, ?, ?, ?, ?) AS "_snippet"` : `snippet(${f}, ?, ?, ?, -1, ?) AS "_snippet"`);
+          params.push(sn.open, sn.close, sn.ellipsis, sn.tokens);
+        }
+        const deletedAt = stampColumns(self.schema(table)).deletedAt;
+        const live = deletedAt && !withDeleted ? ` AND ${t}.${quoteIdent(deletedAt)} IS NULL` : "";
+        const rank = fts5 ? `bm25(${f})` : `allez_bm25(matchinfo(${f}, 'pcnalx'))`;
+        const rows = await read(
+          `SELECT ${head.join(", ")} FROM ${f} JOIN ${t} ON ${t}.rowid = ${f}.rowid
+           WHERE ${f} MATCH ?${live} ORDER BY ${rank} LIMIT ? OFFSET ?`,
+          [...params, match, limit, offset]
+        );
+        if (hl) {
+          for (const row of rows) {
+            row._highlight = fts5
+              ? Object.fromEntries(fts.columns.map((c, i) => [c, row[`_hl${i}`]]))
+              : ftsHighlight(row, fts.columns, row._offsets, hl);
+            fts.columns.forEach((_, i) => delete row[`_hl${i}`]);
+            delete row._offsets;
+          }
+        }
+        if (include?.length) await self.loadRelations(table, rows, include);
+        return rows;
       },
-      async searchLike(q, columns, limit = 50) {
+      async searchLike(q, columns, limit = 50, { include, withDeleted = false } = {}) {
         if (!columns?.length) return [];
-        const where = columns.map(c => `${table}.${c} LIKE ?`).join(" OR ");
+        await assertColumns(self, table, columns, "searchLike");
+        const where = columns.map(c => `${t}.${quoteIdent(c)} LIKE ?`).join(" OR ");
         const params = columns.map(() => `%${q}%`);
-        return await self.query(
-          `SELECT * FROM ${table} WHERE (${where}) LIMIT ?`,
+        const deletedAt = stampColumns(self.schema(table)).deletedAt;
+        const live = deletedAt && !withDeleted ? ` AND ${t}.${quoteIdent(deletedAt)} IS NULL` : "";
+        const rows = await read(
+          `SELECT * FROM ${t} WHERE (${where})${live} LIMIT ?`,
           [...params, limit]
         );
+        if (include?.length) await self.loadRelations(table, rows, include);
+        return rows;
       }
     };
   }
 
+  /**
+   * Registered Schema for a table, if any.
+   * @param {string} table
+   * @returns {Schema|undefined}
+   */
+  schema(table) {
+    return this.#schemas.get(table);
+  }
+
+  /**
+   * Check `obj` against the `rules` of `table`'s schema, as insert/upsert do;
+   * with `partial`, only the columns present are checked, as update does.
+   * @param {string} table
+   * @param {Record<string, any>} obj
+   * @param {{ partial?: boolean }=} options
+   * @returns {ValidationIssue[]} empty when `obj` is valid
+   */
+  validate(table, obj, { partial = false } = {}) {
+    return validateRow(this.#schemas.get(table)?.rules, obj, partial);
+  }
+
+  // ---------------- relations ----------------
+
+  /**
+   * Attach related rows to `rows` (in place) for each include path, e.g.
+   * ["author", "posts.comments"]. One IN query per relation per level, so the
+   * number of queries never depends on the number of rows.
+   * @param {string} table
+   * @param {Record<string, any>[]} rows
+   * @param {string[]} include
+   * @returns {Promise<Record<string, any>[]>} the same rows
+   */
+  async loadRelations(table, rows, include) {
+    await this.#loadTree(table, rows, includeTree(include));
+    return rows;
+  }
+
+  async #loadTree(table, rows, tree) {
+    for (const [name, subtree] of Object.entries(tree)) {
+      const rel = this.#schemas.get(table)?.relations?.[name];
+      if (!rel) throw new Error(`include: unknown relation "${name}" on table "${table}"`);
+      const many = rel.type === "hasMany";
+      // belongsTo: our foreignKey -> their key; hasMany/hasOne: our key -> their foreignKey
+      const [ours, theirs] = rel.type === "belongsTo" ? [rel.foreignKey, rel.key] : [rel.key, rel.foreignKey];
+      if (rows.length && !(ours in rows[0])) {
+        throw new Error(`include "${name}": rows of "${table}" lack "${ours}"; add it to select()`);
+      }
+
+      const keys = [...new Set(rows.map(r => r[ours]).filter(v => v != null))];
+      const related = [];
+      for (let i = 0; i < keys.length; i += IN_CHUNK) {
+        related.push(...await tableQuery(this, rel.table).whereIn(theirs, keys.slice(i, i + IN_CHUNK)).all());
+      }
+
+      const byKey = new Map();
+      for (const r of related) {
+        const k = r[theirs];
+        if (many) (byKey.get(k) ?? byKey.set(k, []).get(k)).push(r);
+        else if (!byKey.has(k)) byKey.set(k, r);
+      }
+      for (const row of rows) {
+        row[name] = byKey.get(row[ours]) ?? (many ? [] : null);
+      }
+
+      if (related.length && Object.keys(subtree).length) {
+        await this.#loadTree(rel.table, related, subtree);
+      }
+    }
+  }
+
   // ---------------- schema registration ----------------
 
   /** Soft-run an extra SQL statement; swallow known-unsupported patterns. */
@@ -214,17 +1164,43 @@ export class AllezORM {
         );
         return;
       }
-      await this.execute(s);
+      await this.#execute(s);
     } catch (err) {
       console.warn("[AllezORM] extraSQL failed and was skipped:", s, err);
     }
   }
 
-  /** @param {Schema[]} schemas */
-  async registerSchemas(schemas) {
+  /**
+   * Create missing tables, run pending migrations, then reconcile existing
+   * tables with their createSQL according to `diff`. Tables stored at a newer
+   * version than their schema are left as they are (roll back with migrateTo()).
+   * @param {Schema[]} schemas
+   * @param {{ diff?: SchemaDiffMode }=} options
+   * @returns {Promise<SchemaPlan[]>} the plans found for existing tables
+   */
+  registerSchemas(schemas, options) {
+    return this.#exclusive(this.#caller, () => this.#registerSchemas(schemas, options));
+  }
+
+  async #registerSchemas(schemas, { diff = this.schemaDiff } = {}) {
+    if (!["apply", "safe", "dry-run", "off"].includes(diff)) {
+      throw new Error(`registerSchemas: unknown diff mode "${diff}"`);
+    }
     const meta = await this.#currentVersions();
+    const plans = [];
     for (const s of schemas) {
       if (!s?.table || !s?.createSQL) continue;
+      const steps = sortedMigrations(s);
+      for (const [col, codec] of Object.entries(s.columns ?? {})) {
+        if (!Object.hasOwn(CODECS, codec)) {
+          throw new Error(`registerSchemas: unknown codec "${codec}" for "${s.table}.${col}" (expected ${Object.keys(CODECS).join(", ")})`);
+        }
+      }
+      for (const [col, rule] of Object.entries(s.rules ?? {})) {
+        const bad = Object.keys(rule ?? {}).find(k => !RULE_KEYS.includes(k));
+        if (bad) throw new Error(`registerSchemas: unknown rule "${bad}" for "${s.table}.${col}" (expected ${RULE_KEYS.join(", ")})`);
+      }
+      this.#schemas.set(s.table, s);
 
       const exists = await this.get(
         `SELECT name FROM sqlite_master WHERE type='table' AND name=?`,
@@ -233,7 +1209,7 @@ export class AllezORM {
 
       if (!exists) {
         // Hard-fail for invalid CREATE (developer action required)
-        await this.execute(s.createSQL);
+        await this.#execute(s.createSQL);
 
         // Best-effort for side DDL (indexes/triggers/fts)
         if (Array.isArray(s.extraSQL)) {
@@ -241,57 +1217,1859 @@ export class AllezORM {
             await this.#tryExtra(x);
           }
         }
+        await this.#syncFts(s);
+        await this.#syncLog(s);
+        await assertColumns(this, s.table, Object.keys(s.columns ?? {}), "registerSchemas: columns");
+        await assertColumns(this, s.table, Object.keys(s.rules ?? {}), "registerSchemas: rules");
 
-        await this.execute(
-          `INSERT OR REPLACE INTO allez_meta(table_name,version) VALUES(?,?)`,
-          [s.table, s.version ?? 1]
-        );
+        // createSQL describes the latest shape, so there is nothing to migrate
+        await this.#setVersion(s.table, s.version ?? steps.at(-1)?.version ?? 1);
       } else {
         const cur = meta.get(s.table) ?? 1;
-        const next = s.version ?? cur;
-        if (s.onUpgrade && next > cur) {
-          await s.onUpgrade(this.db, cur, next);
-          await this.execute(
-            `UPDATE allez_meta SET version=? WHERE table_name=?`,
-            [next, s.table]
-          );
+        const next = s.version ?? steps.at(-1)?.version ?? cur;
+        // a database written by a newer build: rolling back would drop its data,
+        // so that is left to an explicit migrateTo()
+        const newer = next < cur;
+        if (newer) {
+          console.warn(`[AllezORM] "${s.table}" is at version ${cur}, newer than this schema (${next}); left unchanged.`);
+        } else if (steps.length) {
+          await this.#migrate(s, steps, cur, next);
+        } else if (s.onUpgrade && next > cur) {
+          await this.#transaction(async (tx) => {
+            await s.onUpgrade(tx.db, cur, next);
+            await this.#setVersion(s.table, next);
+          });
+        }
+
+        let rebuilt = false;
+        if (diff !== "off" && !newer) {
+          const plan = await this.diffSchema(s);
+          if (plan) {
+            plans.push(plan);
+            const extra = plan.changes.filter(c => c.kind === "drop").map(c => c.column);
+            if (diff === "dry-run") {
+              console.info(`[AllezORM] planned schema changes for "${s.table}":`, [...plan.statements, ...plan.recreate]);
+            } else if (plan.rebuild && (diff === "safe" || extra.length)) {
+              const why = extra.length ? "it would drop columns" : `schemaDiff: "safe"`;
+              console.warn(`[AllezORM] "${s.table}" needs a table rebuild; skipped (${why}).`, plan.changes);
+            } else {
+              await this.#applyPlan(plan);
+              rebuilt = plan.rebuild;
+            }
+            if (extra.length && diff !== "dry-run") {
+              console.warn(`[AllezORM] "${s.table}" has columns not in its createSQL, left in place:`, extra);
+            }
+          }
+        }
+        // a rebuild copies rows into a new table, so rowids the index points at may have moved
+        if (diff !== "dry-run") {
+          if (!newer) {
+            await this.#syncFts(s, { reindex: rebuilt });
+            await this.#syncLog(s); // a rebuild dropped the old triggers
+          }
+          await assertColumns(this, s.table, Object.keys(s.columns ?? {}), "registerSchemas: columns");
+          await assertColumns(this, s.table, Object.keys(s.rules ?? {}), "registerSchemas: rules");
         }
       }
     }
+    this.#schemaChanged(); // onUpgrade may have altered tables through the raw handle
     this.#scheduleSave();
+    return plans;
   }
 
-  async saveNow() {
-    const data = this.db.export(); // Uint8Array
-    if (isBrowser) await idbSet(this.dbName, data);
+  /**
+   * Compare a Schema's CREATE TABLE with the live table (table_info,
+   * foreign_key_list, unique indexes). The declared shape is read by running
+   * createSQL in a scratch in-memory database, so no SQL parsing is involved.
+   * @param {Schema} schema
+   * @returns {Promise<SchemaPlan|null>} null when identical, missing, or not a plain table
+   */
+  async diffSchema(schema) {
+    const scratch = new this.SQL.Database();
+    let declared, createSQL;
+    try {
+      scratch.exec(schema.createSQL);
+      const sync = sql => rowsOf(scratch, sql);
+      createSQL = sync(`SELECT sql FROM sqlite_master WHERE type='table' AND name=${quoteLiteral(schema.table)}`)[0]?.sql;
+      if (!createSQL) return null;
+      declared = await tableShape(sync, schema.table);
+    } catch {
+      return null; // e.g. CREATE VIRTUAL TABLE with a module this build lacks
+    } finally {
+      scratch.close();
+    }
+    const actual = await tableShape(sql => this.query(sql), schema.table);
+    if (!actual.columns.length) return null;
+    const side = await this.query(
+      `SELECT sql FROM sqlite_master WHERE tbl_name=? AND type IN ('index','trigger') AND sql IS NOT NULL`,
+      [schema.table]
+    );
+    return planTableChanges(schema.table, createSQL, declared, actual, side.map(r => r.sql));
   }
 
-  // ---------------- internals ----------------
-
-  async #ensureMeta() {
-    await this.execute(`
-      CREATE TABLE IF NOT EXISTS allez_meta (
-        table_name TEXT PRIMARY KEY,
-        version INTEGER NOT NULL
-      );
-    `);
+  /** Run a SchemaPlan; rebuilds follow SQLite's documented create-copy-drop-rename sequence. */
+  async #applyPlan(plan) {
+    if (!plan.rebuild) {
+      for (const sql of plan.statements) await this.#execute(sql);
+      return;
+    }
+    if (this.#txDepth > 0) {
+      // DROP TABLE with FKs on would fire ON DELETE actions, and the pragma is a no-op inside a transaction
+      throw new Error(`registerSchemas: rebuilding "${plan.table}" cannot run inside a transaction.`);
+    }
+    this.db.exec("PRAGMA foreign_keys = OFF;");
+    try {
+      await this.#transaction(async (tx) => {
+        for (const sql of plan.statements) await tx.execute(sql);
+        for (const sql of plan.recreate) await this.#tryExtra(sql);
+        const broken = await tx.query(`PRAGMA foreign_key_check(${quoteIdent(plan.table)})`);
+        if (broken.length) {
+          throw new Error(`registerSchemas: rebuilding "${plan.table}" leaves ${broken.length} foreign key violation(s); rolled back.`);
+        }
+      });
+    } finally {
+      this.db.exec("PRAGMA foreign_keys = ON;");
+    }
   }
 
-  async #currentVersions() {
-    const rows = await this.query(
+  /**
+   * Create, replace or drop the external-content FTS table for `schema.fts`
+   * (allez_fts_<table>) and the triggers that keep it in sync with the table.
+   * Uses FTS5 when sql.js was built with it, otherwise FTS4.
+   */
+  async #syncFts(s, { reindex = false } = {}) {
+    const name = ftsTable(s.table);
+    const current = (await this.get(`SELECT sql FROM sqlite_master WHERE type='table' AND name=?`, [name]))?.sql;
+    let wanted = null;
+    if (s.fts) {
+      const columns = s.fts.columns ?? [];
+      if (!columns.length) throw new Error(`registerSchemas: fts for "${s.table}" needs at least one column`);
+      await assertColumns(this, s.table, columns, "registerSchemas: fts");
+      if (this.#ftsModule === null) {
+        this.#ftsModule = this.db.exec("SELECT sqlite_compileoption_used('ENABLE_FTS5')")[0].values[0][0] ? "fts5" : "fts4";
+      }
+      wanted = ftsDDL(s.table, { ...s.fts, columns }, this.#ftsModule);
+    }
+    if (!current && !wanted) return;
+    if (current === wanted?.create) {
+      if (reindex) await this.#execute(`INSERT INTO ${quoteIdent(name)}(${quoteIdent(name)}) VALUES('rebuild')`);
+      return;
+    }
+    await this.#transaction(async (tx) => {
+      if (current) {
+        for (const suffix of FTS_TRIGGERS) await tx.execute(`DROP TRIGGER IF EXISTS ${quoteIdent(`${name}_${suffix}`)}`);
+        await tx.execute(`DROP TABLE ${quoteIdent(name)}`);
+      }
+      if (!wanted) return;
+      await tx.execute(wanted.create);
+      for (const sql of wanted.triggers) await tx.execute(sql);
+      await tx.execute(`INSERT INTO ${quoteIdent(name)}(${quoteIdent(name)}) VALUES('rebuild')`);
+    });
+  }
+
+  /** Create, replace or drop the allez_changes triggers of a schema (`sync`). */
+  async #syncLog(s) {
+    const current = await this.query(
+      `SELECT name, sql FROM sqlite_master WHERE type='trigger' AND tbl_name=?
+         AND name LIKE 'allez\\_sync\\_%' ESCAPE '\\' ORDER BY name`,
+      [s.table]
+    );
+    let wanted = [];
+    if (s.sync) {
+      const keys = await this.#keyColumns(s.table);
+      if (!keys.length) throw new Error(`registerSchemas: sync for "${s.table}" needs a PRIMARY KEY`);
+      await this.#execute(SYNC_LOG_DDL);
+      await this.#execute(SYNC_LOG_INDEX);
+      await this.#execute(SYNC_STATE_DDL);
+      wanted = syncTriggers(s.table, keys);
+    }
+    if (current.map(r => r.sql).join("\n") === wanted.join("\n")) return;
+    await this.#transaction(async (tx) => {
+      for (const r of current) await tx.execute(`DROP TRIGGER ${quoteIdent(r.name)}`);
+      for (const sql of wanted) await tx.execute(sql);
+    });
+  }
+
+  /** PRIMARY KEY columns of `table` in key order (empty for rowid-only tables). */
+  async #keyColumns(table) {
+    const info = await this.query(`PRAGMA table_info(${quoteIdent(table)})`);
+    return info.filter(c => c.pk > 0).sort((a, b) => a.pk - b.pk).map(c => c.name);
+  }
+
+  /**
+   * Move a registered table to `version`: runs pending up() steps, or down()
+   * steps in reverse when rolling back (development use). Each step commits on
+   * its own, so a failure leaves the table at the last successful version.
+   * @param {string} table
+   * @param {number} version
+   * @returns {Promise<number>} the version the table ends at
+   */
+  migrateTo(table, version) {
+    return this.#exclusive(this.#caller, () => this.#migrateTo(table, version));
+  }
+
+  async #migrateTo(table, version) {
+    const s = this.#schemas.get(table);
+    if (!s) throw new Error(`migrateTo: schema "${table}" is not registered.`);
+    const cur = (await this.#currentVersions()).get(table) ?? 1;
+    await this.#migrate(s, sortedMigrations(s), cur, version);
+    this.#schemaChanged();
+    return version;
+  }
+
+  async #migrate(s, steps, from, to) {
+    if (to > from) {
+      await this.#warnChangedMigrations(s, steps);
+      for (const m of steps) {
+        if (m.version <= from || m.version > to) continue;
+        await this.#transaction(async (tx) => {
+          await m.up(tx);
+          await this.#execute(
+            `INSERT OR REPLACE INTO allez_migrations(name,version,applied_at,checksum) VALUES(?,?,?,?)`,
+            [s.table, m.version, new Date().toISOString(), checksum(String(m.up))]
+          );
+          await this.#setVersion(s.table, m.version);
+        });
+      }
+      await this.#setVersion(s.table, to); // versions without a step (e.g. a bare version bump)
+    } else if (to < from) {
+      const undo = steps.filter(m => m.version > to && m.version <= from).reverse();
+      const missing = undo.find(m => typeof m.down !== "function");
+      if (missing) throw new Error(`migrateTo: migration ${missing.version} of "${s.table}" has no down().`);
+      for (const m of undo) {
+        const prev = Math.max(to, ...steps.filter(x => x.version < m.version).map(x => x.version));
+        await this.#transaction(async (tx) => {
+          await m.down(tx);
+          await this.#execute(`DELETE FROM allez_migrations WHERE name=? AND version=?`, [s.table, m.version]);
+          await this.#setVersion(s.table, prev);
+        });
+      }
+      await this.#setVersion(s.table, to);
+    }
+  }
+
+  /** Applied steps whose up() source no longer matches are almost always a mistake. */
+  async #warnChangedMigrations(s, steps) {
+    const applied = await this.query(
+      `SELECT version, checksum FROM allez_migrations WHERE name=?`,
+      [s.table]
+    );
+    for (const row of applied) {
+      const m = steps.find(x => x.version === row.version);
+      if (m && checksum(String(m.up)) !== row.checksum) {
+        console.warn(`[AllezORM] migration ${row.version} of "${s.table}" changed after it was applied.`);
+      }
+    }
+  }
+
+  async #setVersion(table, version) {
+    await this.#execute(
+      `INSERT OR REPLACE INTO allez_meta(table_name,version) VALUES(?,?)`,
+      [table, version]
+    );
+  }
+
+  /**
+   * Save now instead of waiting for the autosave timer. Only one save runs at a
+   * time: a call made while one is in flight is folded into one more pass after it.
+   * Inside a transaction the save is deferred until the transaction ends.
+   */
+  saveNow() {
+    if (this.#role === "follower") return Promise.resolve(); // the leader tab persists
+    // export() closes and reopens the handle, which would end an open transaction
+    if (this.#txDepth > 0) {
+      this.#saveDeferred = true;
+      return Promise.resolve();
+    }
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.#saveRequested = true;
+    return this.#saving ??= this.#runSaves().finally(() => { this.#saving = null; });
+  }
+
+  /**
+   * Resolve once every write made so far is saved: starts a save if one is
+   * pending, otherwise waits for the one in flight.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.#dirtySince !== null || this.saveTimer !== null) return this.saveNow();
+    await this.#saving;
+  }
+
+  /** True while writes are waiting to be saved or a save is in flight. */
+  get unsaved() {
+    return this.#dirtySince !== null || this.#saving !== null;
+  }
+
+  async #runSaves() {
+    while (this.#saveRequested) {
+      this.#saveRequested = false;
+      // a transaction opened while the last save was writing; it saves when it ends
+      if (this.#txDepth > 0) {
+        this.#saveDeferred = true;
+        return;
+      }
+      const data = this.db.export(); // Uint8Array
+      this.#setupHandle(); // export() reopened the handle
+      this.#dirtySince = null;
+      if (this.#role === "leader") {
+        this.#channel.postMessage({ type: "sync", bytes: data, changes: this.#outbox });
+        this.#outbox = [];
+      }
+      if (!this.storage) continue;
+      this.#emit("saving");
+      try {
+        const bytes = this.#cipher ? await encryptImage(this.#cipher, data) : data;
+        await this.storage.save(storageKey(this), bytes);
+      } catch (error) {
+        this.#dirtySince ??= Date.now(); // still unsaved; the next write or flush retries
+        if (this.#listeners.get("saveError")?.size) this.#emit("saveError", { error });
+        else console.error("[AllezORM] save failed:", error);
+        throw error;
+      }
+      this.#emit("saved", { pending: this.#dirtySince !== null });
+    }
+  }
+
+  /**
+   * Save the database encrypted with new settings (a passphrase gets a fresh
+   * salt), or unencrypted with null. Resolves once the re-encrypted image is stored.
+   * @param {EncryptionOptions|null} encryption
+   */
+  rekey(encryption) {
+    return this.#exclusive(this.#caller, () => this.#rekey(encryption));
+  }
+
+  async #rekey(encryption) {
+    if (this.#txDepth > 0) throw new Error("rekey: a transaction is still open.");
+    if (this.#role === "follower") throw new Error("rekey: only the leader tab saves; call it there (see isLeader).");
+    if (!this.storage) throw new Error("rekey: this database is not persisted.");
+    this.#cipher = encryption ? await makeCipher(encryption) : null;
+    // followers keep the cipher in case they take over as leader
+    this.#channel?.postMessage({ type: "cipher", cipher: this.#cipher });
+    await this.saveNow();
+  }
+
+  /** Flush any pending save and release the sql.js handle (after pending writes). */
+  close() {
+    return this.#exclusive(this.#caller, () => this.#close());
+  }
+
+  async #close() {
+    if (this.#txDepth > 0) throw new Error("close: a transaction is still open.");
+    await this.flush();
+    this.#unwatchPageLifecycle();
+    this.#leaveTabs();
+    this.#clearStatements();
+    this.db.close();
+  }
+
+  // ---------------- import / export ----------------
+
+  /**
+   * The whole database as a SQLite file image (for downloads and backups).
+   * @returns {Promise<Uint8Array>}
+   */
+  exportDatabase() {
+    return this.#exclusive(this.#caller, () => this.#exportDatabase());
+  }
+
+  async #exportDatabase() {
+    // export() closes and reopens the handle, which would end an open transaction
+    if (this.#txDepth > 0) throw new Error("exportDatabase: a transaction is still open.");
+    const data = this.db.export();
+    this.#setupHandle();
+    return data;
+  }
+
+  /**
+   * Check that `bytes` is a SQLite database and store it under `name`,
+   * replacing what is there. Close open instances of that database first
+   * (and the leader tab in multiTab mode), or their next save overwrites it.
+   * `opts` selects the storage as in init() (storage, filename, wasmLocateFile);
+   * with `opts.encryption` the stored copy is encrypted.
+   * @param {string} name
+   * @param {Uint8Array|ArrayBuffer} bytes
+   * @param {InitOptions=} opts
+   */
+  static async importDatabase(name, bytes, opts = {}) {
+    const data = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+    if (!(data instanceof Uint8Array) || new TextDecoder().decode(data.subarray(0, 16)) !== SQLITE_HEADER) {
+      throw new Error("importDatabase: not a SQLite database (bad file header)");
+    }
+    const SQL = await loadSqlJs(opts);
+    let check;
+    try {
+      const db = new SQL.Database(data);
+      try {
+        check = db.exec("PRAGMA quick_check")[0].values.map(v => v[0]);
+      } finally {
+        db.close();
+      }
+    } catch (err) {
+      throw new Error(`importDatabase: the file could not be opened (${err.message})`);
+    }
+    if (check[0] !== "ok") throw new Error(`importDatabase: the database is damaged (${check.join("; ")})`);
+    const target = { ...opts, dbName: name };
+    const storage = resolveStorage(target);
+    if (!storage) throw new Error("importDatabase: no storage to import into");
+    const stored = opts.encryption ? await encryptImage(await makeCipher(opts.encryption), data) : data;
+    await storage.save(storageKey(target), stored);
+    _instances.delete(name);
+  }
+
+  /**
+   * Rows as plain objects: one table, or every user table (parents before
+   * children) keyed by name. BLOBs become { $base64 } and integers beyond
+   * Number.MAX_SAFE_INTEGER { $bigint } for importJSON().
+   * @param {string=} table
+   */
+  async exportJSON(table) {
+    const dump = async t => (await this.query(`SELECT * FROM ${quoteIdent(t)}`, [], { bigint: true })).map(jsonRow);
+    if (table !== undefined) {
+      await this.columns(table);
+      return await dump(table);
+    }
+    const out = {};
+    for (const t of await this.#tablesInFkOrder(await this.#userTables())) out[t] = await dump(t);
+    return out;
+  }
+
+  /**
+   * CSV text with a header row: one table, or every user table keyed by name.
+   * NULL is an empty field and "" a quoted empty field; BLOBs are written as
+   * base64 and integers in full.
+   * @param {string=} table
+   */
+  async exportCSV(table) {
+    const dump = async t => {
+      const cols = await this.columns(t);
+      const rows = await this.query(`SELECT * FROM ${quoteIdent(t)}`, [], { bigint: true });
+      return toCSV(cols, rows);
+    };
+    if (table !== undefined) return await dump(table);
+    const out = {};
+    for (const t of await this.#tablesInFkOrder(await this.#userTables())) out[t] = await dump(t);
+    return out;
+  }
+
+  /**
+   * Insert dumped rows ({ table: rows[] }, as from exportJSON()) in one
+   * transaction, parent tables first; foreign keys are checked at commit, so
+   * cycles and self-references load too. Values are stored as dumped, without
+   * column codecs or validation rules, except that text in boolean columns
+   * ("true", "0", ...) becomes 1/0. `columns` maps source keys to column
+   * names per table, e.g. { users: { mail: "email" } }. Resolves to rows inserted per table.
+   * @param {Record<string, Record<string, any>[]>} data
+   * @param {{ onConflict?: "abort"|"ignore"|"replace", columns?: Record<string, Record<string, string>> }=} options
+   * @returns {Promise<Record<string, number>>}
+   */
+  async importJSON(data, { onConflict = "abort", columns = {} } = {}) {
+    const owner = this.#caller;
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("importJSON: expected an object of { table: rows[] }");
+    }
+    const tables = Object.keys(data);
+    for (const t of tables) {
+      if (!Array.isArray(data[t])) throw new Error(`importJSON: rows for "${t}" must be an array`);
+      await this.columns(t);
+    }
+    const counts = {};
+    await this.#exclusive(owner, () => this.#transaction(async (tx) => {
+      await tx.execute("PRAGMA defer_foreign_keys = ON"); // reset by COMMIT
+      for (const t of await this.#tablesInFkOrder(tables)) {
+        const codecs = codecsOf(this.schema(t));
+        const rows = data[t].map(r => storedBooleans(renameKeys(fromJsonRow(r), columns[t]), codecs));
+        counts[t] = (await tx.table(t).insertMany(rows, { onConflict, raw: true })).count;
+      }
+    }));
+    return counts;
+  }
+
+  /**
+   * Insert CSV rows (header row first) into `table`. `columns` maps header
+   * names to column names; empty unquoted fields become NULL. Fields of BLOB
+   * columns are read as base64, as exportCSV() writes them.
+   * @param {string} table
+   * @param {string} csv
+   * @param {{ onConflict?: "abort"|"ignore"|"replace", columns?: Record<string, string> }=} options
+   * @returns {Promise<number>} rows inserted
+   */
+  async importCSV(table, csv, { onConflict = "abort", columns } = {}) {
+    const [header, ...records] = parseCSV(String(csv));
+    if (!header) return 0;
+    const info = await this.query(`PRAGMA table_info(${quoteIdent(table)})`);
+    const blobs = info.filter(c => /BLOB/i.test(c.type)).map(c => c.name);
+    const rows = records.map((rec, n) => {
+      const row = renameKeys(Object.fromEntries(header.map((h, i) => [h ?? "", rec[i] ?? null])), columns);
+      for (const c of blobs) {
+        if (typeof row[c] !== "string") continue;
+        try {
+          row[c] = fromBase64(row[c]);
+        } catch {
+          throw new Error(`importCSV: "${c}" of record ${n + 1} is not base64`);
+        }
+      }
+      return row;
+    });
+    const counts = await this.importJSON({ [table]: rows }, { onConflict });
+    return counts[table];
+  }
+
+  /** Application tables (no sqlite_* or allez_* internals). */
+  async #userTables() {
+    const rows = await this.query(
+      `SELECT name FROM sqlite_master WHERE type='table'
+         AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\' AND name NOT LIKE 'allez\\_%' ESCAPE '\\' ORDER BY name`
+    );
+    return rows.map(r => r.name);
+  }
+
+  /** `tables` with referenced (parent) tables before the tables pointing at them. */
+  async #tablesInFkOrder(tables) {
+    const parents = new Map();
+    for (const t of tables) {
+      const fks = await this.query(`PRAGMA foreign_key_list(${quoteIdent(t)})`);
+      parents.set(t, fks.map(fk => fk.table).filter(p => p !== t && tables.includes(p)));
+    }
+    const out = [];
+    const seen = new Set();
+    const visit = t => {
+      if (seen.has(t)) return; // also breaks cycles; deferred FK checks cover them
+      seen.add(t);
+      for (const p of parents.get(t)) visit(p);
+      out.push(t);
+    };
+    tables.forEach(visit);
+    return out;
+  }
+
+  // ---------------- sync ----------------
+  //
+  // Tables whose schema sets `sync: true` get triggers that log every written
+  // row's primary key in allez_changes; a row keeps only its latest entry, so
+  // the log never outgrows the data. sync() first pulls remote changes since
+  // the cursor kept in allez_sync_state and applies each page in one transaction.
+  // A pulled row that also has an unpushed local entry is a conflict; the
+  // strategy picks a side or merges. Then the log is pushed in batches, and
+  // entries are deleted once their batch is acknowledged (a row written again
+  // meanwhile has a newer entry and is pushed next time).
+
+  /**
+   * Pull, then push, through a user-supplied transport. Resolves to counts of
+   * changes pulled and pushed and conflicts resolved. Concurrent calls share
+   * the run in progress.
+   * @param {SyncOptions} options
+   * @returns {Promise<{ pulled: number, pushed: number, conflicts: number }>}
+   */
+  sync(options) {
+    // its writes take the lock one step at a time, so it can't run inside a transaction
+    if (this.#caller && this.#caller === this.#txOwner) return Promise.reject(new Error("sync: cannot run inside a transaction."));
+    return this.#syncing ??= this.#runSync(options).finally(() => { this.#syncing = null; });
+  }
+
+  async #runSync({ push, pull, conflict = "lww", batchSize = 500 } = {}) {
+    if (typeof push !== "function" || typeof pull !== "function") {
+      throw new Error("sync: pass { push(changes), pull(cursor) } functions.");
+    }
+    if (conflict !== "lww" && typeof conflict !== "function") {
+      throw new Error(`sync: unknown conflict strategy "${conflict}"`);
+    }
+    const schemas = new Map([...this.#schemas.values()].filter(s => s.sync).map(s => [s.table, s]));
+    if (!schemas.size) throw new Error("sync: no registered schema has `sync: true`.");
+    const keys = new Map();
+    for (const t of schemas.keys()) keys.set(t, await this.#keyColumns(t));
+    const result = { pulled: 0, pushed: 0, conflicts: 0 };
+
+    let cursor = await this.#syncCursor();
+    for (;;) {
+      const page = await pull(cursor);
+      if (!page || !Array.isArray(page.changes)) throw new Error("sync: pull() must resolve to { changes, cursor }");
+      result.conflicts += await this.#applyRemote(page.changes, schemas, keys, conflict, page.cursor);
+      result.pulled += page.changes.length;
+      const stalled = JSON.stringify(page.cursor) === JSON.stringify(cursor);
+      cursor = page.cursor;
+      if (!page.hasMore || stalled) break;
+    }
+
+    const [{ last }] = await this.query(`SELECT coalesce(max(seq), 0) AS last FROM allez_changes`);
+    let after = 0;
+    for (;;) {
+      const entries = await this.query(
+        `SELECT seq, table_name, pk, op, changed_at FROM allez_changes WHERE seq > ? AND seq <= ? ORDER BY seq LIMIT ?`,
+        [after, last, batchSize]
+      );
+      if (!entries.length) break;
+      const batch = [];
+      for (const e of entries) {
+        const s = schemas.get(e.table_name);
+        if (s) batch.push(await this.#localChange(s, keys.get(s.table), e));
+      }
+      if (batch.length) await push(batch);
+      const seqs = entries.map(e => e.seq);
+      await this.execute(`DELETE FROM allez_changes WHERE seq IN (${seqs.map(() => "?").join(", ")})`, seqs);
+      result.pushed += batch.length;
+      after = seqs.at(-1);
+    }
+    return result;
+  }
+
+  async #syncCursor() {
+    const row = await this.get(`SELECT value FROM allez_sync_state WHERE key = 'cursor'`);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  /** A log entry as the SyncChange to push: upserts carry the row as it is now. */
+  async #localChange(s, keys, entry) {
+    const pk = JSON.parse(entry.pk);
+    const row = entry.op === "upsert"
+      ? await this.get(`SELECT * FROM ${quoteIdent(s.table)} WHERE ${keyColumnsWhere(keys)}`, keys.map(k => pk[k]))
+      : undefined;
+    if (!row) return { table: s.table, op: "delete", pk, changedAt: entry.changed_at };
+    const updatedAt = stampColumns(s).updatedAt;
+    return { table: s.table, op: "upsert", pk, row, changedAt: (updatedAt && row[updatedAt]) || entry.changed_at };
+  }
+
+  /** Apply one pulled page and store its cursor, in one transaction. Returns the conflict count. */
+  async #applyRemote(changes, schemas, keys, conflict, cursor) {
+    let conflicts = 0;
+    await this.transaction(async (tx) => {
+      await tx.execute("PRAGMA defer_foreign_keys = ON"); // reset by COMMIT
+      for (const remote of changes) {
+        const s = schemas.get(remote?.table);
+        if (!s) throw new Error(`sync: pulled a change for "${remote?.table}", which is not a synced table`);
+        const cols = keys.get(s.table);
+        const pkValues = cols.map(k => remote.pk?.[k]);
+        if (pkValues.some(v => v === undefined)) {
+          throw new Error(`sync: pulled change for "${s.table}" is missing primary key ${cols.join(", ")}`);
+        }
+        const pkJson = `json_object(${cols.map(() => "?, ?").join(", ")})`;
+        const pkArgs = cols.flatMap((k, i) => [k, pkValues[i]]);
+        const entry = await tx.get(
+          `SELECT seq, pk, op, changed_at FROM allez_changes WHERE table_name = ? AND pk = ${pkJson}`,
+          [s.table, ...pkArgs]
+        );
+        let winner = "remote";
+        if (entry) {
+          conflicts++;
+          const local = await this.#localChange(s, cols, entry);
+          winner = conflict === "lww"
+            ? lastWriterWins(s, local, remote)
+            : await conflict({ table: s.table, local, remote });
+        }
+        if (winner === "local") continue;
+        if (winner === "remote") {
+          if (remote.op === "delete") {
+            await tx.execute(`DELETE FROM ${quoteIdent(s.table)} WHERE ${keyColumnsWhere(cols)}`, pkValues);
+          } else {
+            await this.#upsertRow(tx, s.table, cols, { ...remote.row, ...remote.pk });
+          }
+          // the remote side already has this state; drop the entries it just logged
+          await tx.execute(`DELETE FROM allez_changes WHERE table_name = ? AND pk = ${pkJson}`, [s.table, ...pkArgs]);
+        } else if (winner && typeof winner === "object") {
+          await this.#upsertRow(tx, s.table, cols, { ...winner, ...remote.pk }); // logged, so pushed below
+        } else {
+          throw new Error(`sync: conflict resolver returned ${String(winner)}; expected "local", "remote" or a row`);
+        }
+      }
+      await tx.execute(`INSERT OR REPLACE INTO allez_sync_state(key, value) VALUES('cursor', ?)`, [JSON.stringify(cursor ?? null)]);
+    });
+    return conflicts;
+  }
+
+  /** Insert or update `row` as given (no managed timestamps); unknown keys are ignored. */
+  async #upsertRow(tx, table, keys, row) {
+    const cols = (await this.columns(table)).filter(c => Object.hasOwn(row, c));
+    const updates = cols.filter(c => !keys.includes(c));
+    await tx.execute(upsertStatement(table, cols, keys, updates), cols.map(c => row[c]));
+  }
+
+  // ---------------- multi-tab ----------------
+  //
+  // Tabs sharing a storage key hold a Web Lock named after it; the holder is the
+  // leader and the only tab that writes to storage. Followers keep a read-only
+  // copy: each write (or each committed transaction, replayed as its list of
+  // statements) is posted over a BroadcastChannel, run by the leader in one
+  // transaction and saved at once. Every leader save broadcasts the new image and
+  // its change events; followers swap their copy and re-emit the events, so a
+  // forwarded write resolves after the follower sees it. When the leader tab
+  // closes, a follower takes over the lock. Schemas are registered by each tab
+  // before joining; all tabs are expected to run the same schema versions.
+
+  async #joinTabs() {
+    const name = `allez-orm:${storageKey(this)}`;
+    this.#tabId = globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random()}`;
+    this.#channel = new BroadcastChannel(name);
+    this.#channel.onmessage = e => this.#onTabMessage(e.data);
+    this.#role = "follower";
+    this.#leaderKnown = new Promise(resolve => { this.#leaderFound = resolve; });
+    const hold = () => new Promise(resolve => { this.#releaseLock = resolve; });
+    const elected = await new Promise(decide => {
+      navigator.locks.request(name, { ifAvailable: true }, lock => {
+        decide(!!lock);
+        if (!lock) return undefined;
+        this.#lead();
+        return hold();
+      }).catch(() => decide(false));
+    });
+    if (elected) return;
+    // wait in line; the callback runs when the current leader's tab goes away
+    navigator.locks.request(name, () => {
+      if (!this.#channel) return undefined; // closed meanwhile
+      this.#lead();
+      return hold();
+    }).catch(() => {});
+    this.#channel.postMessage({ type: "hello", from: this.#tabId });
+  }
+
+  #lead() {
+    this.#role = "leader";
+    this.#leaderId = this.#tabId;
+    this.#failRequests("the leader tab changed before confirming the write; it may not have been applied");
+    this.#leaderFound();
+    this.#channel.postMessage({ type: "leader", from: this.#tabId });
+  }
+
+  #leaveTabs() {
+    if (!this.#channel) return;
+    this.#channel.close();
+    this.#channel = null;
+    this.#releaseLock?.();
+    this.#releaseLock = null;
+    this.#role = null;
+    this.#failRequests("close: the database was closed before the leader tab confirmed the write");
+  }
+
+  #onTabMessage(msg) {
+    switch (msg.type) {
+      case "hello":
+        if (this.#role !== "leader") return;
+        this.#channel.postMessage({ type: "leader", from: this.#tabId });
+        this.saveNow().catch(() => {}); // a fresh image, in case the newcomer loaded an older one
+        return;
+      case "leader":
+        if (this.#role !== "follower") return;
+        if (this.#leaderId !== null && this.#leaderId !== msg.from) {
+          this.#failRequests("the leader tab changed before confirming the write; it may not have been applied");
+        }
+        this.#leaderId = msg.from;
+        this.#leaderFound();
+        return;
+      case "write":
+        if (this.#role !== "leader" || msg.to !== this.#tabId) return;
+        this.#inbox.push(msg);
+        if (this.#txDepth === 0) void this.#drainInbox();
+        return;
+      case "result": {
+        const req = msg.to === this.#tabId && this.#requests.get(msg.id);
+        if (!req) return;
+        this.#requests.delete(msg.id);
+        if (msg.error !== undefined) req.reject(new Error(msg.error));
+        else req.resolve(msg.results);
+        return;
+      }
+      case "sync":
+        if (this.#role === "follower") this.#applyImage(msg.bytes, msg.changes);
+        return;
+      case "cipher":
+        if (this.#role === "follower") this.#cipher = msg.cipher;
+        return;
+    }
+  }
+
+  /** Send statements to the leader; resolves to one result per statement. */
+  async #forward(batch) {
+    await this.#leaderKnown;
+    if (this.#role === "leader") return this.#runBatch(batch); // promoted while waiting
+    if (!this.#channel) throw new Error("close: the database is closed");
+    const id = ++this.#requestSeq;
+    return await new Promise((resolve, reject) => {
+      this.#requests.set(id, { resolve, reject });
+      this.#channel.postMessage({ type: "write", from: this.#tabId, to: this.#leaderId, id, batch });
+    });
+  }
+
+  #failRequests(message) {
+    for (const { reject } of this.#requests.values()) reject(new Error(message));
+    this.#requests.clear();
+  }
+
+  /** Leader: run forwarded batches (each in one transaction), save, then reply. */
+  async #drainInbox() {
+    while (this.#inbox.length && this.#txDepth === 0 && this.#channel) {
+      const { from, id, batch } = this.#inbox.shift();
+      let reply;
+      try {
+        reply = { results: this.#runBatch(batch) };
+      } catch (err) {
+        reply = { error: String(err?.message ?? err) };
+      }
+      // broadcasts the image before the result below; a failed save is
+      // reported through "saveError" and doesn't undo the write
+      if (reply.results) await this.saveNow().catch(() => {});
+      this.#channel?.postMessage({ type: "result", to: from, id, ...reply });
+    }
+  }
+
+  #runBatch(batch) {
+    const tx = this.#begin();
+    try {
+      const results = batch.map(([sql, params, mode]) => this.#runOne(sql, params, mode));
+      this.#commit(tx);
+      return results;
+    } catch (err) {
+      this.#rollback(tx);
+      throw err;
+    }
+  }
+
+  /** Follower: replace the local copy with the leader's image, then re-emit its changes. */
+  #applyImage(bytes, changes) {
+    if (this.#txDepth > 0) {
+      this.#pendingImage = { bytes, changes: [...(this.#pendingImage?.changes ?? []), ...changes] };
+      return;
+    }
+    this.db.close();
+    this.db = new this.SQL.Database(bytes);
+    this.#setupHandle();
+    this.#schemaChanged();
+    for (const e of changes) this.#emit("change", e);
+  }
+
+  // ---------------- internals ----------------
+
+  async #ensureMeta() {
+    await this.#execute(`
+      CREATE TABLE IF NOT EXISTS allez_meta (
+        table_name TEXT PRIMARY KEY,
+        version INTEGER NOT NULL
+      );
+    `);
+    await this.#execute(`
+      CREATE TABLE IF NOT EXISTS allez_migrations (
+        name TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        applied_at TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        PRIMARY KEY (name, version)
+      );
+    `);
+  }
+
+  async #currentVersions() {
+    const rows = await this.query(
       `SELECT table_name, version FROM allez_meta`
     );
-    return new Map(rows.map(r => [r.table_name, r.version]));
+    return new Map(rows.map(r => [r.table_name, r.version]));
+  }
+
+  /**
+   * Run `fn` with a prepared statement for `sql`, reused from the LRU cache when
+   * possible. The statement is reset (not freed) afterwards and kept for next time.
+   */
+  #withStatement(sql, fn) {
+    const stmt = this.#statements.get(sql) ?? this.db.prepare(sql);
+    this.#statements.delete(sql);
+    try {
+      return fn(stmt);
+    } finally {
+      if (this.statementCacheSize > 0) {
+        stmt.reset();
+        this.#statements.set(sql, stmt); // most recently used goes last
+        if (this.#statements.size > this.statementCacheSize) {
+          const [oldest, evicted] = this.#statements.entries().next().value;
+          this.#statements.delete(oldest);
+          evicted.free();
+        }
+      } else {
+        stmt.free();
+      }
+    }
+  }
+
+  /** Pass a finished statement to onQuery, and warn when it was slow. */
+  #report(sql, params, start, rows, error) {
+    if (!this.onQuery && this.slowQueryMs == null) return;
+    const ms = performance.now() - start;
+    if (this.slowQueryMs != null && ms >= this.slowQueryMs) {
+      console.warn(`[AllezORM] slow query (${ms.toFixed(1)} ms):`, sql, params);
+    }
+    if (!this.onQuery) return;
+    try {
+      this.onQuery({ sql, params: params ?? [], ms, rows, error });
+    } catch (err) {
+      console.error("[AllezORM] onQuery hook threw:", err);
+    }
+  }
+
+  #firstRow(sql) {
+    return this.#withStatement(sql, stmt => {
+      stmt.step();
+      return stmt.get();
+    });
+  }
+
+  #clearStatements() {
+    for (const stmt of this.#statements.values()) stmt.free();
+    this.#statements.clear();
+  }
+
+  // DDL ran (or may have): cached column lists and prepared statements are stale
+  #schemaChanged() {
+    this.#columnCache.clear();
+    this.#clearStatements();
+  }
+
+  // Per-connection state, lost whenever the handle is reopened (export(), image swaps).
+  #setupHandle() {
+    this.#clearStatements(); // sql.js already finalized them
+    this.db.exec("PRAGMA foreign_keys = ON;");
+    this.#installUpdateHook();
+    this.db.create_function("allez_bm25", ftsBm25);
+  }
+
+  // Record row writes for change events (sql.js >= 1.11). Internal tables are not reported.
+  #installUpdateHook() {
+    if (typeof this.db.updateHook !== "function") return;
+    this.db.updateHook((op, _dbName, table, rowid) => {
+      if (!table.startsWith("allez_") && !table.startsWith("sqlite_")) this.#changes.push([op, table, rowid]);
+    });
+  }
+
+  /** Emit recorded writes as one "change" per table and op, unless a transaction is open. */
+  #flushChanges() {
+    if (this.#txDepth > 0 || !this.#changes.length) return;
+    const pending = this.#changes;
+    this.#changes = [];
+    if (!this.#listeners.get("change")?.size && this.#role !== "leader") return;
+    const groups = new Map();
+    for (const [op, table, rowid] of pending) {
+      const key = `${table}\u0000${op}`;
+      let g = groups.get(key);
+      if (!g) groups.set(key, g = { table, op, ids: new Set() });
+      if (rowid !== null) g.ids.add(rowid);
+    }
+    for (const g of groups.values()) {
+      const e = { ...g, ids: [...g.ids] };
+      if (this.#role === "leader") this.#outbox.push(e);
+      this.#emit("change", e);
+    }
+  }
+
+  #emit(event, payload) {
+    for (const fn of [...(this.#listeners.get(event) ?? [])]) {
+      try {
+        fn(payload);
+      } catch (err) {
+        // a broken listener must not make a committed write look failed
+        console.error(`[AllezORM] "${event}" listener threw:`, err);
+      }
+    }
+  }
+
+  /** Settle persistence once the outermost transaction has finished. */
+  #endTransaction(committed) {
+    this.#txOwner = null;
+    this.#txHandle = null;
+    const wantsSave = this.#saveDeferred || (committed && this.#txDirty);
+    this.#txDirty = false;
+    this.#saveDeferred = false;
+    if (committed) this.#flushChanges();
+    if (wantsSave) this.#scheduleSave();
+    if (this.#pendingImage) {
+      const { bytes, changes } = this.#pendingImage;
+      this.#pendingImage = null;
+      this.#applyImage(bytes, changes);
+    }
+    if (this.#inbox.length) void this.#drainInbox();
+  }
+
+  #scheduleSave() {
+    if (this.#txDepth > 0) {
+      this.#txDirty = true;
+      return;
+    }
+    if (!this.storage || this.#role === "follower") return;
+    const now = Date.now();
+    this.#dirtySince ??= now;
+    // debounce, but never past the max-wait ceiling counted from the oldest unsaved write
+    const delay = Math.max(0, Math.min(this.autoSaveMs, this.#dirtySince + this.autoSaveMaxWaitMs - now));
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveNow().catch(() => {}); // reported through "saveError"
+    }, delay);
+  }
+
+  /** Browser: save pending writes when the page is hidden or unloaded. */
+  #watchPageLifecycle() {
+    const doc = globalThis.document;
+    if (!doc || typeof globalThis.addEventListener !== "function") return;
+    this.#onPageHide = (e) => {
+      if (e.type === "visibilitychange" && doc.visibilityState !== "hidden") return;
+      this.flush().catch(() => {});
+    };
+    doc.addEventListener("visibilitychange", this.#onPageHide);
+    globalThis.addEventListener("pagehide", this.#onPageHide);
+  }
+
+  #unwatchPageLifecycle() {
+    if (!this.#onPageHide) return;
+    globalThis.document.removeEventListener("visibilitychange", this.#onPageHide);
+    globalThis.removeEventListener("pagehide", this.#onPageHide);
+    this.#onPageHide = null;
+  }
+}
+
+// ---------------- helpers: transactions ----------------
+
+/**
+ * Async context of transaction callbacks, where the runtime provides one
+ * (AsyncLocalStorage in Node): it carries the transaction's owner, so calls
+ * made on the instance itself inside the callback join the transaction.
+ */
+const txContext = (() => {
+  const Storage = globalThis.process?.getBuiltinModule?.("node:async_hooks")?.AsyncLocalStorage;
+  return Storage ? new Storage() : null;
+})();
+const LOCK_WAIT_WARN_MS = 10000;
+
+/**
+ * `target` as a transaction callback sees it: a proxy whose method calls each
+ * start inside `within(call)`, which marks the work they begin as the
+ * transaction's. Properties and getters read through to `target`.
+ */
+function transactionHandle(target, within) {
+  const bound = new Map();
+  return new Proxy(target, {
+    get(t, prop) {
+      const value = t[prop];
+      if (typeof value !== "function") return value;
+      let fn = bound.get(prop);
+      if (!fn) bound.set(prop, fn = (...args) => within(() => value.apply(t, args)));
+      return fn;
+    }
+  });
+}
+
+// ---------------- helpers: query builder ----------------
+
+const INSERT_VERBS = { abort: "INSERT", ignore: "INSERT OR IGNORE", replace: "INSERT OR REPLACE" };
+
+const WHERE_OPS = new Set(["=", "!=", "<>", "<", "<=", ">", ">=", "LIKE", "NOT LIKE", "GLOB", "IS", "IS NOT"]);
+
+/** Quote an SQL identifier ("a""b" style). */
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function unquoteIdent(name) {
+  return name.startsWith('"') ? name.slice(1, -1).replace(/""/g, '"') : name;
+}
+
+/**
+ * Throw if any of `cols` is not a column of `table`. Needed because SQLite
+ * treats an unknown double-quoted identifier as a string literal.
+ */
+async function assertColumns(orm, table, cols, op) {
+  const known = await orm.columns(table);
+  const bad = cols.find(c => !known.includes(c));
+  if (bad !== undefined) throw new Error(`${op}: unknown column "${bad}" on table "${table}"`);
+}
+
+/**
+ * INSERT of `cols` ... ON CONFLICT(<target>) DO UPDATE SET each of `sets` to
+ * the incoming value, or DO NOTHING when `sets` is empty.
+ */
+function upsertStatement(table, cols, target, sets) {
+  const action = sets.length
+    ? `DO UPDATE SET ${sets.map(c => `${quoteIdent(c)}=excluded.${quoteIdent(c)}`).join(",")}`
+    : "DO NOTHING";
+  return `INSERT INTO ${quoteIdent(table)} (${cols.map(quoteIdent).join(",")}) VALUES (${cols.map(() => "?").join(",")})
+           ON CONFLICT(${target.map(quoteIdent).join(",")}) ${action}`;
+}
+
+/**
+ * Immutable, chainable SELECT builder for one table. Every chain step returns a
+ * new builder, so a partially built query can be reused as a base.
+ * @param {AllezORM} orm
+ * @param {string} table
+ */
+function tableQuery(orm, table, state = { where: [], order: [], columns: null, limit: null, offset: null, refs: [], include: [], deleted: "exclude" }) {
+  const next = patch => tableQuery(orm, table, { ...state, ...patch });
+  const addWhere = (col, sql, params) => next({
+    where: [...state.where, { sql, params }],
+    refs: col == null ? state.refs : [...state.refs, col]
+  });
+  const codecs = () => codecsOf(orm.schema(table));
+  const run = async (op, { sql, params }, one = false) => {
+    await assertColumns(orm, table, state.refs, op);
+    const rows = await orm.query(sql, params, { bigint: needsBigInt(codecs()) });
+    for (const row of rows) decodeRow(row, codecs());
+    return one ? rows[0] : rows;
+  };
+  const withRelations = async rows => {
+    if (state.include.length && rows.length) await orm.loadRelations(table, rows, state.include);
+    return rows;
+  };
+
+  const compile = (head, { paging = true } = {}) => {
+    const params = [];
+    let sql = `${head} FROM ${quoteIdent(table)}`;
+    const conds = state.where.map(w => w.sql);
+    const deletedAt = stampColumns(orm.schema(table)).deletedAt;
+    if (deletedAt && state.deleted !== "include") {
+      conds.unshift(`${quoteIdent(deletedAt)} ${state.deleted === "only" ? "IS NOT NULL" : "IS NULL"}`);
+    }
+    if (conds.length) {
+      sql += ` WHERE ${conds.join(" AND ")}`;
+      for (const w of state.where) params.push(...w.params);
+    }
+    if (paging) {
+      if (state.order.length) sql += ` ORDER BY ${state.order.join(", ")}`;
+      if (state.limit != null || state.offset != null) {
+        // SQLite requires LIMIT before OFFSET; -1 means "no limit"
+        sql += ` LIMIT ?`;
+        params.push(state.limit ?? -1);
+        if (state.offset != null) {
+          sql += ` OFFSET ?`;
+          params.push(state.offset);
+        }
+      }
+    }
+    return { sql, params };
+  };
+  const selectList = () => state.columns ? state.columns.map(quoteIdent).join(", ") : "*";
+
+  const api = {
+    /**
+     * where({ col: value, ... })  -> col = ? AND ... (null -> IS NULL; undefined keys are skipped)
+     * where(col, op, value)       -> col <op> ?
+     */
+    where(colOrObj, op, value) {
+      if (colOrObj && typeof colOrObj === "object") {
+        let q = api;
+        for (const [col, v] of Object.entries(colOrObj)) {
+          if (v === undefined) continue; // unset optional filter
+          q = v === null ? q.where(col, "IS", null) : q.where(col, "=", v);
+        }
+        return q;
+      }
+      const o = String(op).toUpperCase();
+      if (!WHERE_OPS.has(o)) throw new Error(`where: unsupported operator "${op}"`);
+      if (value === undefined) throw new Error(`where: value for "${colOrObj}" is undefined (use null to match NULL)`);
+      return addWhere(colOrObj, `${quoteIdent(colOrObj)} ${o} ?`, [encodeValue(codecs(), colOrObj, value)]);
+    },
+    whereIn(col, values) {
+      if (!Array.isArray(values)) throw new Error("whereIn: values must be an array");
+      if (values.includes(undefined)) throw new Error(`whereIn: values for "${col}" include undefined`);
+      if (!values.length) return addWhere(col, "0", []); // IN () never matches
+      return addWhere(col, `${quoteIdent(col)} IN (${values.map(() => "?").join(",")})`,
+        values.map(v => encodeValue(codecs(), col, v)));
+    },
+    orderBy(col, dir = "asc") {
+      const d = String(dir).toUpperCase();
+      if (d !== "ASC" && d !== "DESC") throw new Error(`orderBy: direction must be "asc" or "desc"`);
+      return next({ order: [...state.order, `${quoteIdent(col)} ${d}`], refs: [...state.refs, col] });
+    },
+    limit(n) {
+      return next({ limit: n });
+    },
+    offset(n) {
+      return next({ offset: n });
+    },
+    select(columns) {
+      return next({ columns: columns?.length ? [...columns] : null, refs: [...state.refs, ...(columns ?? [])] });
+    },
+    /** Include soft-deleted rows (they are hidden by default when the schema declares softDelete). */
+    withDeleted() {
+      return next({ deleted: "include" });
+    },
+    /** Only soft-deleted rows. */
+    onlyDeleted() {
+      return next({ deleted: "only" });
+    },
+    /** Eager-load relations declared on the schema, e.g. include(["author", "posts.comments"]). */
+    include(paths) {
+      return next({ include: [...state.include, ...(Array.isArray(paths) ? paths : [paths])] });
+    },
+    /** Compiled SELECT text and bound parameters (for logging/debugging). */
+    toSQL() {
+      return compile(`SELECT ${selectList()}`);
+    },
+    async all() {
+      return await withRelations(await run("all", api.toSQL()));
+    },
+    async first() {
+      const row = await run("first", api.limit(1).toSQL(), true);
+      if (row) await withRelations([row]);
+      return row;
+    },
+    async count() {
+      // ordering/paging don't change the count
+      const row = await run("count", compile(`SELECT COUNT(*) AS n`, { paging: false }), true);
+      return row ? Number(row.n) : 0;
+    },
+    /**
+     * Keyset pagination: up to `limit` rows following the `after` cursor (or
+     * preceding `before`). `orderBy` lists columns as "col" or [col, "desc"];
+     * the primary key is appended as a tiebreaker. Pass `nextCursor` back as
+     * `after` and `prevCursor` as `before`; `hasMore` tells whether rows remain
+     * past this page in the direction read. Cursors only fit the same orderBy.
+     */
+    async paginate({ orderBy = [], after = null, before = null, limit = 50 } = {}) {
+      if (state.order.length || state.limit != null || state.offset != null) {
+        throw new Error("paginate: use the orderBy/limit options instead of orderBy()/limit()/offset()");
+      }
+      if (after != null && before != null) throw new Error("paginate: pass either after or before, not both");
+      if (!Number.isInteger(limit) || limit < 1) throw new Error("paginate: limit must be a positive integer");
+      const keys = sortKeys(orderBy, primaryKeyOf(orm.schema(table)));
+      const unselected = state.columns && keys.find(k => !state.columns.includes(k.col));
+      if (unselected) throw new Error(`paginate: select() must include sort column "${unselected.col}"`);
+      const order = keys.map(k => `${k.col} ${k.desc ? "desc" : "asc"}`).join(",");
+
+      // going backwards walks the reversed order from the cursor, then flips the page
+      const backward = before != null;
+      const walk = backward ? keys.map(k => ({ ...k, desc: !k.desc })) : keys;
+      const cursor = backward ? before : after;
+      const where = [...state.where];
+      if (cursor != null) where.push(seekWhere(walk, decodeCursor(cursor, order)));
+      await assertColumns(orm, table, keys.map(k => k.col), "paginate");
+      const rows = await run("paginate", next({
+        where,
+        order: walk.map(k => `${quoteIdent(k.col)} ${k.desc ? "DESC" : "ASC"}`),
+        limit: limit + 1
+      }).toSQL());
+
+      const hasMore = rows.length > limit;
+      if (hasMore) rows.pop();
+      if (backward) rows.reverse();
+      await withRelations(rows);
+      const cursorOf = row => row ? encodeCursor(order, keys.map(k => encodeValue(codecs(), k.col, row[k.col]))) : null;
+      return {
+        rows,
+        nextCursor: backward || hasMore ? cursorOf(rows.at(-1)) : null,
+        prevCursor: (backward ? hasMore : cursor != null) ? cursorOf(rows[0]) : null,
+        hasMore
+      };
+    }
+  };
+  return api;
+}
+
+/** paginate() orderBy entries as [{ col, desc }], with missing key columns appended. */
+function sortKeys(orderBy, keyCols) {
+  const keys = [].concat(orderBy).map(entry => {
+    const [col, dir = "asc"] = Array.isArray(entry) ? entry : [entry];
+    const d = String(dir).toUpperCase();
+    if (d !== "ASC" && d !== "DESC") throw new Error(`paginate: direction must be "asc" or "desc"`);
+    return { col, desc: d === "DESC" };
+  });
+  for (const col of keyCols) if (!keys.some(k => k.col === col)) keys.push({ col, desc: false });
+  return keys;
+}
+
+/**
+ * WHERE clause for rows strictly after `values` in the order of `keys`:
+ * (a > ?) OR (a = ? AND b > ?) OR ... SQLite sorts NULLs first, so they
+ * come after every value when descending and before it when ascending.
+ */
+function seekWhere(keys, values) {
+  const terms = [];
+  const params = [];
+  const equal = [];
+  const equalParams = [];
+  keys.forEach(({ col, desc }, i) => {
+    const c = quoteIdent(col);
+    const v = values[i];
+    const beyond = v === null ? (desc ? null : `${c} IS NOT NULL`) : desc ? `(${c} < ? OR ${c} IS NULL)` : `${c} > ?`;
+    if (beyond) {
+      terms.push(`(${[...equal, beyond].join(" AND ")})`);
+      params.push(...equalParams, ...(v === null ? [] : [v]));
+    }
+    equal.push(v === null ? `${c} IS NULL` : `${c} = ?`);
+    if (v !== null) equalParams.push(v);
+  });
+  return { sql: terms.length ? `(${terms.join(" OR ")})` : "0", params };
+}
+
+// Cursors are base64url JSON of [order, values]; BigInts travel as strings,
+// which is also how sql.js binds them.
+function encodeCursor(order, values) {
+  const json = JSON.stringify([order, values], (_, v) => (typeof v === "bigint" ? String(v) : v));
+  return toBase64(new TextEncoder().encode(json)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeCursor(cursor, order) {
+  let parsed;
+  try {
+    parsed = JSON.parse(new TextDecoder().decode(fromBase64(String(cursor).replace(/-/g, "+").replace(/_/g, "/"))));
+  } catch {
+    parsed = null;
+  }
+  if (!Array.isArray(parsed) || !Array.isArray(parsed[1])) throw new Error("paginate: invalid cursor");
+  if (parsed[0] !== order) throw new Error(`paginate: cursor was made for orderBy "${parsed[0]}", not "${order}"`);
+  return parsed[1];
+}
+
+// ---------------- helpers: timestamps + soft delete ----------------
+
+/** Primary key column(s) of a schema as an array; ["id"] unless `primaryKey` says otherwise. */
+function primaryKeyOf(schema) {
+  const pk = schema?.primaryKey ?? "id";
+  return Array.isArray(pk) ? pk : [pk];
+}
+
+/** Column names for a schema's `timestamps` / `softDelete` settings (null when unused). */
+function stampColumns(schema) {
+  const ts = schema?.timestamps;
+  const pick = (v, dflt) => (v === false ? null : v ?? dflt);
+  const sd = schema?.softDelete;
+  return {
+    createdAt: ts ? pick(ts === true ? undefined : ts.createdAt, "created_at") : null,
+    updatedAt: ts ? pick(ts === true ? undefined : ts.updatedAt, "updated_at") : null,
+    deletedAt: sd ? (sd === true ? "deleted_at" : sd) : null
+  };
+}
+
+/** Copy of `obj` with missing created/updated stamps set to now (ISO-8601). */
+function withStamps(obj, stamps, creating) {
+  if (!stamps.createdAt && !stamps.updatedAt) return obj;
+  const now = new Date().toISOString();
+  const out = { ...obj };
+  if (creating && stamps.createdAt && out[stamps.createdAt] === undefined) out[stamps.createdAt] = now;
+  if (stamps.updatedAt && out[stamps.updatedAt] === undefined) out[stamps.updatedAt] = now;
+  return out;
+}
+
+// ---------------- helpers: column codecs ----------------
+
+// strings the boolean codec accepts (CSV fields, form values); others are rejected
+const BOOLEAN_TEXT = new Map([["1", 1], ["true", 1], ["0", 0], ["false", 0]]);
+const booleanBit = text => BOOLEAN_TEXT.get(text.trim().toLowerCase());
+
+// Schema `columns` codecs: encode to what SQLite stores, decode what it returns.
+// null stays NULL both ways.
+const CODECS = {
+  boolean: {
+    encode: v => {
+      if (typeof v !== "string") return v ? 1 : 0;
+      const bit = booleanBit(v);
+      if (bit === undefined) throw new Error(`expected a boolean, got "${v}"`);
+      return bit;
+    },
+    // TEXT such as 'false' can reach the column through raw SQL or older imports
+    decode: v => (typeof v === "string" ? (booleanBit(v) ?? Number(v)) !== 0 : Number(v) !== 0)
+  },
+  json: {
+    encode: v => JSON.stringify(v),
+    decode: v => (typeof v === "string" ? JSON.parse(v) : v)
+  },
+  date: {
+    encode: v => {
+      if (!(v instanceof Date)) return v; // ISO strings and epoch numbers pass through
+      if (Number.isNaN(v.getTime())) throw new Error("invalid Date");
+      return v.toISOString();
+    },
+    decode: v => new Date(typeof v === "bigint" ? Number(v) : v)
+  },
+  bigint: {
+    encode: v => v, // sql.js binds BigInt exactly
+    decode: v => BigInt(v)
+  }
+};
+
+function codecsOf(schema) {
+  return schema?.columns ?? {};
+}
+
+function needsBigInt(codecs) {
+  return Object.values(codecs).includes("bigint");
+}
+
+function encodeValue(codecs, col, value) {
+  const codec = codecs[col];
+  if (!codec || value == null) return value;
+  try {
+    return CODECS[codec].encode(value);
+  } catch (err) {
+    throw new Error(`codec: cannot encode "${col}" as ${codec} (${err.message})`);
+  }
+}
+
+/** Copy of `obj` with codec columns encoded. */
+function encodeRow(obj, codecs) {
+  let out = obj;
+  for (const col of Object.keys(codecs)) {
+    if (!Object.hasOwn(obj, col)) continue;
+    if (out === obj) out = { ...obj };
+    out[col] = encodeValue(codecs, col, obj[col]);
+  }
+  return out;
+}
+
+/**
+ * Decode codec columns of `row` in place. Rows read with BigInt integers get
+ * plain numbers back everywhere else.
+ */
+function decodeRow(row, codecs) {
+  for (const [col, v] of Object.entries(row)) {
+    const codec = codecs[col];
+    if (v == null) continue;
+    if (codec) {
+      try {
+        row[col] = CODECS[codec].decode(v);
+      } catch (err) {
+        throw new Error(`codec: cannot decode "${col}" as ${codec} (${err.message})`);
+      }
+    } else if (typeof v === "bigint") {
+      row[col] = Number(v);
+    }
+  }
+  return row;
+}
+
+// ---------------- helpers: validation ----------------
+
+const RULE_KEYS = ["required", "min", "max", "minLength", "maxLength", "pattern", "enum", "validate", "message"];
+
+/**
+ * Thrown by table() writes whose payload breaks the schema's `rules`.
+ * `errors` lists every failing column, not just the first.
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} op
+   * @param {string} table
+   * @param {ValidationIssue[]} errors
+   */
+  constructor(op, table, errors) {
+    super(`${op}: "${table}" failed validation: ${errors.map(e => e.message).join("; ")}`);
+    this.name = "ValidationError";
+    this.table = table;
+    this.errors = errors;
+  }
+}
+
+// First rule `value` breaks as [rule, default message], or null.
+function brokenRule(rule, col, value, row) {
+  if (value === undefined || value === null || value === "") {
+    if (rule.required) return ["required", `${col} is required`];
+    if (value !== "") return null;
+  }
+  const size = typeof value === "string" || Array.isArray(value) ? value.length : null;
+  const ordered = typeof value === "number" || typeof value === "bigint" || value instanceof Date;
+  if (rule.min != null && ordered && value < rule.min) return ["min", `${col} must be at least ${rule.min}`];
+  if (rule.max != null && ordered && value > rule.max) return ["max", `${col} must be at most ${rule.max}`];
+  if (rule.minLength != null && size != null && size < rule.minLength) {
+    return ["minLength", `${col} must have at least ${rule.minLength} characters`];
+  }
+  if (rule.maxLength != null && size != null && size > rule.maxLength) {
+    return ["maxLength", `${col} must have at most ${rule.maxLength} characters`];
+  }
+  if (rule.pattern && typeof value === "string") {
+    rule.pattern.lastIndex = 0; // /g and /y patterns are stateful
+    if (!rule.pattern.test(value)) return ["pattern", `${col} does not match ${rule.pattern}`];
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return ["enum", `${col} must be one of ${rule.enum.map(v => JSON.stringify(v)).join(", ")}`];
+  }
+  if (rule.validate) {
+    const ok = rule.validate(value, row);
+    if (ok === false || typeof ok === "string") return ["validate", typeof ok === "string" ? ok : `${col} is invalid`];
+  }
+  return null;
+}
+
+/**
+ * Issues `row` has against `rules`. `partial` (updates) skips columns the
+ * row does not mention, so `required` only rejects explicit clears.
+ */
+function validateRow(rules, row, partial) {
+  const issues = [];
+  for (const [column, rule] of Object.entries(rules ?? {})) {
+    if (partial && !Object.hasOwn(row, column)) continue;
+    const broken = brokenRule(rule, column, row[column], row);
+    if (broken) issues.push({ column, rule: broken[0], message: rule.message ?? broken[1] });
+  }
+  return issues;
+}
+
+// ---------------- helpers: relations ----------------
+
+// keys per IN (...) query; stays well under SQLite's bound-parameter limit
+const IN_CHUNK = 500;
+
+/**
+ * This table's `foreignKey` points at `key` (default "id") of `table`.
+ * @returns {Relation}
+ */
+export function belongsTo(table, foreignKey, { key = "id" } = {}) {
+  return { type: "belongsTo", table, foreignKey, key };
+}
+
+/**
+ * Rows of `table` whose `foreignKey` points at this table's `key` (default "id").
+ * @returns {Relation}
+ */
+export function hasMany(table, foreignKey, { key = "id" } = {}) {
+  return { type: "hasMany", table, foreignKey, key };
+}
+
+/**
+ * Like hasMany, but loads a single row (or null).
+ * @returns {Relation}
+ */
+export function hasOne(table, foreignKey, { key = "id" } = {}) {
+  return { type: "hasOne", table, foreignKey, key };
+}
+
+/** ["a", "a.b", "c"] -> { a: { b: {} }, c: {} } */
+function includeTree(paths) {
+  const tree = {};
+  for (const path of paths ?? []) {
+    let node = tree;
+    for (const part of String(path).split(".")) node = node[part] ??= {};
+  }
+  return tree;
+}
+
+// ---------------- helpers: full-text search ----------------
+
+const FTS_TRIGGERS = ["ai", "ad", "au", "bd", "bu"];
+
+function ftsTable(table) {
+  return `allez_fts_${table}`;
+}
+
+/**
+ * CREATE VIRTUAL TABLE plus sync triggers for an external-content index on
+ * `table`. FTS5 takes the old values in a 'delete' command; FTS4 reads them
+ * from the content table, so its deletes must run BEFORE the row changes.
+ */
+function ftsDDL(table, { columns, tokenize }, module) {
+  const name = ftsTable(table);
+  const f = quoteIdent(name);
+  const t = quoteIdent(table);
+  const trig = suffix => quoteIdent(`${name}_${suffix}`);
+  const cols = columns.map(quoteIdent).join(", ");
+  const vals = prefix => columns.map(c => `${prefix}.${quoteIdent(c)}`).join(", ");
+  if (module === "fts5") {
+    const options = [`content=${quoteLiteral(table)}`, ...(tokenize ? [`tokenize=${quoteLiteral(tokenize)}`] : [])];
+    const add = `INSERT INTO ${f}(rowid, ${cols}) VALUES (new.rowid, ${vals("new")});`;
+    const del = `INSERT INTO ${f}(${f}, rowid, ${cols}) VALUES ('delete', old.rowid, ${vals("old")});`;
+    return {
+      create: `CREATE VIRTUAL TABLE ${f} USING fts5(${cols}, ${options.join(", ")})`,
+      triggers: [
+        `CREATE TRIGGER ${trig("ai")} AFTER INSERT ON ${t} BEGIN ${add} END`,
+        `CREATE TRIGGER ${trig("ad")} AFTER DELETE ON ${t} BEGIN ${del} END`,
+        `CREATE TRIGGER ${trig("au")} AFTER UPDATE ON ${t} BEGIN ${del} ${add} END`
+      ]
+    };
+  }
+  const options = [`content=${quoteIdent(table)}`, ...(tokenize ? [`tokenize=${tokenize}`] : [])];
+  const add = `INSERT INTO ${f}(docid, ${cols}) VALUES (new.rowid, ${vals("new")});`;
+  const del = `DELETE FROM ${f} WHERE docid = old.rowid;`;
+  return {
+    create: `CREATE VIRTUAL TABLE ${f} USING fts4(${cols}, ${options.join(", ")})`,
+    triggers: [
+      `CREATE TRIGGER ${trig("bu")} BEFORE UPDATE ON ${t} BEGIN ${del} END`,
+      `CREATE TRIGGER ${trig("bd")} BEFORE DELETE ON ${t} BEGIN ${del} END`,
+      `CREATE TRIGGER ${trig("au")} AFTER UPDATE ON ${t} BEGIN ${add} END`,
+      `CREATE TRIGGER ${trig("ai")} AFTER INSERT ON ${t} BEGIN ${add} END`
+    ]
+  };
+}
+
+/** Plain text -> MATCH expression: every word quoted and matched as a prefix. */
+function ftsQuery(q, fts5) {
+  const words = String(q ?? "").split(/\s+/).filter(Boolean).map(w => w.replace(/"/g, '""'));
+  return words.map(w => (fts5 ? `"${w}"*` : `"${w}*"`)).join(" ");
+}
+
+/**
+ * bm25 for FTS4 from matchinfo(..., 'pcnalx'), negated so that, like FTS5's
+ * bm25(), smaller means more relevant.
+ */
+function ftsBm25(info, k1 = 1.2, b = 0.75) {
+  if (!(info instanceof Uint8Array)) return 0;
+  const m = new Uint32Array(info.slice().buffer);
+  const [phrases, cols, docs] = m;
+  const avg = i => m[3 + i];
+  const len = i => m[3 + cols + i];
+  const x = 3 + 2 * cols;
+  let score = 0;
+  for (let p = 0; p < phrases; p++) {
+    for (let c = 0; c < cols; c++) {
+      const [hits, , hitDocs] = m.subarray(x + 3 * (p * cols + c));
+      if (!hits) continue;
+      const idf = Math.log(1 + (docs - hitDocs + 0.5) / (hitDocs + 0.5));
+      score += idf * (hits * (k1 + 1)) / (hits + k1 * (1 - b + b * len(c) / (avg(c) || 1)));
+    }
+  }
+  return -score;
+}
+
+/** FTS4 has no highlight(): wrap the byte ranges reported by offsets() instead. */
+function ftsHighlight(row, columns, offsets, { open, close }) {
+  const ranges = columns.map(() => []);
+  const nums = String(offsets ?? "").split(" ").filter(Boolean).map(Number);
+  for (let i = 0; i + 3 < nums.length; i += 4) ranges[nums[i]]?.push([nums[i + 2], nums[i + 2] + nums[i + 3]]);
+  const out = {};
+  columns.forEach((c, i) => {
+    const value = row[c];
+    if (value == null || !ranges[i].length) {
+      out[c] = value;
+      return;
+    }
+    const bytes = new TextEncoder().encode(String(value));
+    const decode = (from, to) => new TextDecoder().decode(bytes.subarray(from, to));
+    let text = "";
+    let at = 0;
+    for (const [from, to] of ranges[i].sort((a, b) => a[0] - b[0])) {
+      if (from < at) continue;
+      text += decode(at, from) + open + decode(from, to) + close;
+      at = to;
+    }
+    out[c] = text + decode(at, bytes.length);
+  });
+  return out;
+}
+
+// ---------------- helpers: encryption ----------------
+
+// Encrypted image: "ALLEZENC", format version, KDF (0 = raw key, 1 = PBKDF2-SHA256),
+// PBKDF2 iterations (uint32 BE), 16-byte salt, 12-byte AES-GCM IV, then the
+// ciphertext. The header is authenticated as additional data.
+const ENC_MAGIC = "ALLEZENC";
+const ENC_HEADER_BYTES = 42;
+const DEFAULT_PBKDF2_ITERATIONS = 310000;
+
+function isEncryptedImage(bytes) {
+  return bytes.length > ENC_HEADER_BYTES && new TextDecoder().decode(bytes.subarray(0, 8)) === ENC_MAGIC;
+}
+
+function readEncHeader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, ENC_HEADER_BYTES);
+  if (view.getUint8(8) !== 1) throw new Error(`encryption: unsupported image format ${view.getUint8(8)}`);
+  return { kdf: view.getUint8(9), iterations: view.getUint32(10), salt: bytes.slice(14, 30) };
+}
+
+/**
+ * Key material for `encryption`. A passphrase reuses the salt and rounds of
+ * `header` (a stored image) or gets a new random salt.
+ * @param {EncryptionOptions} encryption
+ */
+async function makeCipher(encryption, header = null) {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) throw new Error("encryption: WebCrypto (crypto.subtle) is not available here.");
+  const { key, passphrase, iterations = DEFAULT_PBKDF2_ITERATIONS } = encryption;
+  if ((key == null) === (passphrase == null)) throw new Error("encryption: pass exactly one of `key` or `passphrase`.");
+  if (key != null) {
+    const aesKey = key instanceof Uint8Array || key instanceof ArrayBuffer
+      ? await subtle.importKey("raw", key, "AES-GCM", false, ["encrypt", "decrypt"])
+      : key;
+    return { key: aesKey, kdf: 0, iterations: 0, salt: new Uint8Array(16) };
+  }
+  const reuse = header?.kdf === 1;
+  const salt = reuse ? header.salt : globalThis.crypto.getRandomValues(new Uint8Array(16));
+  const rounds = reuse ? header.iterations : iterations;
+  const base = await subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  const aesKey = await subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations: rounds },
+    base, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]
+  );
+  return { key: aesKey, kdf: 1, iterations: rounds, salt };
+}
+
+async function encryptImage(cipher, bytes) {
+  const header = new Uint8Array(ENC_HEADER_BYTES);
+  header.set(new TextEncoder().encode(ENC_MAGIC));
+  const view = new DataView(header.buffer);
+  view.setUint8(8, 1);
+  view.setUint8(9, cipher.kdf);
+  view.setUint32(10, cipher.iterations);
+  header.set(cipher.salt, 14);
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+  header.set(iv, 30);
+  const body = await globalThis.crypto.subtle.encrypt({ name: "AES-GCM", iv, additionalData: header }, cipher.key, bytes);
+  const out = new Uint8Array(ENC_HEADER_BYTES + body.byteLength);
+  out.set(header);
+  out.set(new Uint8Array(body), ENC_HEADER_BYTES);
+  return out;
+}
+
+/** Plaintext of an encrypted image, or null when the key is wrong or the data was altered. */
+async function decryptImage(cipher, bytes) {
+  const header = bytes.subarray(0, ENC_HEADER_BYTES);
+  try {
+    const plain = await globalThis.crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: header.subarray(30), additionalData: header },
+      cipher.key, bytes.subarray(ENC_HEADER_BYTES)
+    );
+    return new Uint8Array(plain);
+  } catch {
+    return null;
   }
+}
 
-  #scheduleSave() {
-    if (!isBrowser) return;
-    clearTimeout(this.saveTimer);
-    this.saveTimer = setTimeout(() => { void this.saveNow(); }, this.autoSaveMs);
+// ---------------- helpers: sync ----------------
+
+const SYNC_LOG_DDL = `
+CREATE TABLE IF NOT EXISTS allez_changes (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  table_name TEXT NOT NULL,
+  pk TEXT NOT NULL,
+  op TEXT NOT NULL CHECK (op IN ('upsert', 'delete')),
+  changed_at TEXT NOT NULL
+)`;
+const SYNC_LOG_INDEX = `CREATE INDEX IF NOT EXISTS allez_changes_row ON allez_changes(table_name, pk)`;
+// sync() bookkeeping (the pull cursor, as JSON), kept apart from allez_meta's table versions
+const SYNC_STATE_DDL = `CREATE TABLE IF NOT EXISTS allez_sync_state (key TEXT PRIMARY KEY, value TEXT NOT NULL)`;
+
+/** The newer of two changes to one row by updated_at (or write time); ties go to the remote. */
+function lastWriterWins(schema, local, remote) {
+  const updatedAt = stampColumns(schema).updatedAt;
+  const remoteAt = (updatedAt && remote.row?.[updatedAt]) || remote.changedAt || "";
+  return remoteAt >= local.changedAt ? "remote" : "local";
+}
+
+/** `k1 = ? AND k2 = ?` for the key columns. */
+function keyColumnsWhere(keys) {
+  return keys.map(k => `${quoteIdent(k)} = ?`).join(" AND ");
+}
+
+/**
+ * Triggers logging writes to `table` in allez_changes, sorted by name. Each
+ * replaces the row's earlier entry; an update that changes the key logs a
+ * delete of the old key too.
+ */
+function syncTriggers(table, keys) {
+  const t = quoteIdent(table);
+  const name = quoteLiteral(table);
+  const trig = suffix => quoteIdent(`allez_sync_${table}_${suffix}`);
+  const pk = row => `json_object(${keys.map(k => `${quoteLiteral(k)}, ${row}.${quoteIdent(k)}`).join(", ")})`;
+  const now = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+  const log = (row, op) =>
+    `DELETE FROM allez_changes WHERE table_name = ${name} AND pk = ${pk(row)}; ` +
+    `INSERT INTO allez_changes(table_name, pk, op, changed_at) VALUES (${name}, ${pk(row)}, '${op}', ${now});`;
+  return [
+    `CREATE TRIGGER ${trig("ad")} AFTER DELETE ON ${t} BEGIN ${log("old", "delete")} END`,
+    `CREATE TRIGGER ${trig("ai")} AFTER INSERT ON ${t} BEGIN ${log("new", "upsert")} END`,
+    `CREATE TRIGGER ${trig("au")} AFTER UPDATE ON ${t} BEGIN ` +
+      `DELETE FROM allez_changes WHERE table_name = ${name} AND pk = ${pk("old")} AND ${pk("old")} <> ${pk("new")}; ` +
+      `INSERT INTO allez_changes(table_name, pk, op, changed_at) SELECT ${name}, ${pk("old")}, 'delete', ${now} WHERE ${pk("old")} <> ${pk("new")}; ` +
+      `${log("new", "upsert")} END`
+  ];
+}
+
+// ---------------- helpers: JSON / CSV dumps ----------------
+
+function jsonRow(row) {
+  for (const k of Object.keys(row)) {
+    const v = row[k];
+    if (v instanceof Uint8Array) row[k] = { $base64: toBase64(v) };
+    else if (typeof v === "bigint") row[k] = isSafeBigInt(v) ? Number(v) : { $bigint: String(v) };
+  }
+  return row;
+}
+
+function isSafeBigInt(v) {
+  return v >= BigInt(Number.MIN_SAFE_INTEGER) && v <= BigInt(Number.MAX_SAFE_INTEGER);
+}
+
+function fromJsonRow(row) {
+  const out = { ...row };
+  for (const k of Object.keys(out)) {
+    const v = out[k];
+    if (v && typeof v === "object" && typeof v.$base64 === "string") out[k] = fromBase64(v.$base64);
+    else if (v && typeof v === "object" && typeof v.$bigint === "string") out[k] = BigInt(v.$bigint);
+  }
+  return out;
+}
+
+/** `row` with text values of boolean-codec columns (CSV fields) as 1/0. */
+function storedBooleans(row, codecs) {
+  for (const [col, codec] of Object.entries(codecs)) {
+    if (codec === "boolean" && typeof row[col] === "string") row[col] = encodeValue(codecs, col, row[col]);
+  }
+  return row;
+}
+
+function renameKeys(row, map) {
+  if (!map) return row;
+  return Object.fromEntries(Object.entries(row).map(([k, v]) => [map[k] ?? k, v]));
+}
+
+function toBase64(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+function toCSV(columns, rows) {
+  const field = v => {
+    if (v === null || v === undefined) return "";
+    const s = v instanceof Uint8Array ? toBase64(v) : String(v);
+    return s === "" || /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [columns.map(field).join(",")];
+  for (const row of rows) lines.push(columns.map(c => field(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+/** RFC 4180 records; unquoted empty fields are null, quoted ones "". */
+function parseCSV(text) {
+  const unquoted = /[^,\r\n]*/y;
+  const records = [];
+  let record = [];
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // BOM from spreadsheet exports
+  while (i < text.length) {
+    let value;
+    if (text[i] === '"') {
+      let from = i + 1;
+      value = "";
+      for (;;) {
+        const q = text.indexOf('"', from);
+        if (q === -1) throw new Error("importCSV: unterminated quoted field");
+        value += text.slice(from, q);
+        if (text[q + 1] !== '"') {
+          i = q + 1;
+          break;
+        }
+        value += '"';
+        from = q + 2;
+      }
+      if (i < text.length && !",\r\n".includes(text[i])) {
+        throw new Error(`importCSV: unexpected character after a quoted field (record ${records.length + 1})`);
+      }
+    } else {
+      unquoted.lastIndex = i;
+      const raw = unquoted.exec(text)[0];
+      value = raw === "" ? null : raw;
+      i += raw.length;
+    }
+    record.push(value);
+    if (text[i] === ",") {
+      i++;
+      if (i === text.length) record.push(null);
+      continue;
+    }
+    if (text[i] === "\r" && text[i + 1] === "\n") i++;
+    i++;
+    if (!(record.length === 1 && record[0] === null)) records.push(record); // skip blank lines
+    record = [];
   }
+  if (record.length) records.push(record);
+  return records;
 }
 
-// ---------------- helpers: schema collection + IndexedDB ----------------
+// ---------------- helpers: schema collection ----------------
 
 /** @param {InitOptions} opts */
 function collectSchemas(opts) {
@@ -302,37 +3080,741 @@ function collectSchemas(opts) {
   return [...fromModules, ...fromArray].filter(Boolean);
 }
 
-function openIdb() {
-  if (!isBrowser) throw new Error('IndexedDB not available in this environment.');
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open("allez-orm-store", 1);
-    req.onupgradeneeded = () => req.result.createObjectStore("dbs");
-    req.onerror = () => reject(req.error);
-    req.onsuccess = () => resolve(req.result);
-  });
+// ---------------- helpers: schema diff ----------------
+
+/** Rows of a SELECT/PRAGMA against a raw sql.js handle. */
+function rowsOf(db, sql) {
+  const stmt = db.prepare(sql);
+  const out = [];
+  try {
+    while (stmt.step()) out.push(stmt.getAsObject());
+  } finally {
+    stmt.free();
+  }
+  return out;
 }
 
-async function idbGet(key) {
-  if (!isBrowser) return null;
-  const db = await openIdb();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction("dbs", "readonly");
-    const store = tx.objectStore("dbs");
-    const get = store.get(key);
-    get.onsuccess = () => resolve(get.result || null);
-    get.onerror = () => reject(get.error);
-  });
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/** Columns, foreign keys and UNIQUE-constraint column lists of a table. */
+async function tableShape(query, table) {
+  const t = quoteIdent(table);
+  const columns = await query(`PRAGMA table_info(${t})`);
+  const foreignKeys = await query(`PRAGMA foreign_key_list(${t})`);
+  const unique = [];
+  for (const idx of await query(`PRAGMA index_list(${t})`)) {
+    if (idx.origin !== "u") continue; // "c" = CREATE INDEX (extraSQL), "pk" = primary key
+    const cols = await query(`PRAGMA index_info(${quoteIdent(idx.name)})`);
+    unique.push(cols.sort((a, b) => a.seqno - b.seqno).map(c => c.name));
+  }
+  return { columns, foreignKeys, unique };
+}
+
+const columnSig = c => `${String(c.type).toUpperCase()}${c.notnull ? " NOT NULL" : ""}${c.dflt_value != null ? ` DEFAULT ${c.dflt_value}` : ""}${c.pk ? ` PK${c.pk}` : ""}`;
+const fkSig = f => `${f.from}->${f.table}(${f.to ?? ""}) ON UPDATE ${f.on_update} ON DELETE ${f.on_delete}`;
+
+/** Column definition for ALTER TABLE ... ADD COLUMN, rebuilt from PRAGMA output. */
+function columnDef(c, fk) {
+  let s = quoteIdent(c.name);
+  if (c.type) s += ` ${c.type}`;
+  if (c.notnull) s += ` NOT NULL`;
+  if (c.dflt_value != null) s += ` DEFAULT ${c.dflt_value}`;
+  if (fk) {
+    s += ` REFERENCES ${quoteIdent(fk.table)}${fk.to ? `(${quoteIdent(fk.to)})` : ""}`;
+    if (fk.on_delete && fk.on_delete !== "NO ACTION") s += ` ON DELETE ${fk.on_delete}`;
+    if (fk.on_update && fk.on_update !== "NO ACTION") s += ` ON UPDATE ${fk.on_update}`;
+  }
+  return s;
+}
+
+/** SQLite's ADD COLUMN restrictions (https://sqlite.org/lang_altertable.html). */
+function canAddColumn(c, fks, unique) {
+  if (c.pk) return false;
+  if (c.notnull && c.dflt_value == null) return false;
+  if (c.dflt_value != null && /^\(|^CURRENT_/i.test(c.dflt_value)) return false; // non-constant default
+  if (unique.some(cols => cols.includes(c.name))) return false;
+  if (fks.length > 1 || fks.some(f => f.seq > 0)) return false; // part of a composite FK
+  if (fks.length && c.dflt_value != null && c.dflt_value.toUpperCase() !== "NULL") return false;
+  return true;
+}
+
+function planTableChanges(table, createSQL, declared, actual, sideSQL) {
+  const t = quoteIdent(table);
+  const have = new Map(actual.columns.map(c => [c.name, c]));
+  const want = new Map(declared.columns.map(c => [c.name, c]));
+  const changes = [];
+  const adds = [];
+  let rebuild = false;
+
+  for (const c of declared.columns) {
+    const cur = have.get(c.name);
+    if (!cur) {
+      const fks = declared.foreignKeys.filter(f => f.from === c.name);
+      changes.push({ kind: "add", column: c.name });
+      if (canAddColumn(c, fks, declared.unique)) adds.push(`ALTER TABLE ${t} ADD COLUMN ${columnDef(c, fks[0])}`);
+      else rebuild = true;
+    } else if (columnSig(cur) !== columnSig(c)) {
+      changes.push({ kind: "alter", column: c.name, from: columnSig(cur), to: columnSig(c) });
+      rebuild = true;
+    }
+  }
+  // columns only in the database are reported, never dropped: that would lose data
+  for (const c of actual.columns) {
+    if (!want.has(c.name)) changes.push({ kind: "drop", column: c.name });
+  }
+
+  // constraints on columns present on both sides (new/dropped columns are handled above)
+  const shared = name => have.has(name) && want.has(name);
+  const fkSet = fks => fks.filter(f => shared(f.from)).map(fkSig).sort().join("; ");
+  if (fkSet(actual.foreignKeys) !== fkSet(declared.foreignKeys)) {
+    changes.push({ kind: "foreignKeys", from: fkSet(actual.foreignKeys), to: fkSet(declared.foreignKeys) });
+    rebuild = true;
+  }
+  const uniqueSet = sets => sets.filter(cols => cols.every(shared)).map(cols => cols.join(",")).sort().join("; ");
+  if (uniqueSet(actual.unique) !== uniqueSet(declared.unique)) {
+    changes.push({ kind: "unique", from: uniqueSet(actual.unique), to: uniqueSet(declared.unique) });
+    rebuild = true;
+  }
+
+  if (!changes.length) return null;
+  if (!rebuild) return { table, changes, rebuild, statements: adds, recreate: [] };
+
+  const tmp = quoteIdent(`allez_new_${table}`);
+  const copied = declared.columns.filter(c => have.has(c.name)).map(c => quoteIdent(c.name)).join(", ");
+  return {
+    table,
+    changes,
+    rebuild,
+    statements: [
+      createSQL.replace(/^\s*CREATE\s+TABLE\s+(?:"(?:[^"]|"")+"|`[^`]+`|\[[^\]]+\]|[^\s(]+)/i, `CREATE TABLE ${tmp}`),
+      ...(copied ? [`INSERT INTO ${tmp} (${copied}) SELECT ${copied} FROM ${t}`] : []),
+      `DROP TABLE ${t}`,
+      `ALTER TABLE ${tmp} RENAME TO ${t}`
+    ],
+    recreate: sideSQL
+  };
 }
 
-async function idbSet(key, value) {
-  if (!isBrowser) return;
-  const db = await openIdb();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction("dbs", "readwrite");
-    tx.objectStore("dbs").put(value, key);
-    tx.oncomplete = () => resolve();
-    tx.onerror = () => reject(tx.error);
+/** Schema migrations sorted by version; rejects duplicate or non-integer versions. */
+function sortedMigrations(schema) {
+  const steps = [...(schema.migrations ?? [])].sort((a, b) => a.version - b.version);
+  steps.forEach((m, i) => {
+    if (!Number.isInteger(m?.version) || typeof m.up !== "function") {
+      throw new Error(`Schema "${schema.table}": each migration needs an integer version and an up() function.`);
+    }
+    if (i && steps[i - 1].version === m.version) {
+      throw new Error(`Schema "${schema.table}": duplicate migration version ${m.version}.`);
+    }
   });
+  return steps;
+}
+
+/** FNV-1a hash as hex; used to detect edited migrations. */
+function checksum(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+// ---------------- storage adapters ----------------
+
+/** Storage for init(): explicit `storage`, else file (filename), else IndexedDB in browsers. */
+function resolveStorage(opts) {
+  if (opts.storage !== undefined) {
+    const s = opts.storage || null;
+    if (s && (typeof s.load !== "function" || typeof s.save !== "function")) {
+      throw new Error("init: storage adapter must implement load(name) and save(name, bytes).");
+    }
+    return s;
+  }
+  if (opts.filename) return createFileStorage();
+  if (isBrowser || isWebWorker) return createIndexedDbStorage();
+  return null;
+}
+
+/** Key the database is stored under: the file path in Node, else dbName. */
+function storageKey(opts) {
+  return opts.filename ?? opts.dbName ?? DEFAULT_DB_NAME;
+}
+
+/**
+ * IndexedDB-backed storage (the browser default). Every database is one
+ * record in a single object store.
+ * @param {{ dbName?: string, storeName?: string }=} options
+ * @returns {StorageAdapter}
+ */
+export function createIndexedDbStorage({ dbName = "allez-orm-store", storeName = "dbs" } = {}) {
+  const open = () => {
+    if (typeof indexedDB === "undefined") throw new Error("IndexedDB not available in this environment.");
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+      req.onerror = () => reject(req.error);
+      req.onsuccess = () => resolve(req.result);
+    });
+  };
+  // run one request in its own transaction; resolves with the request's result
+  const request = async (mode, fn) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+  return {
+    async load(name) {
+      return (await request("readonly", store => store.get(name))) || null;
+    },
+    async save(name, bytes) {
+      await request("readwrite", store => store.put(bytes, name));
+    },
+    async remove(name) {
+      await request("readwrite", store => store.delete(name));
+    },
+    async list() {
+      return (await request("readonly", store => store.getAllKeys())).map(String);
+    }
+  };
+}
+
+/**
+ * Origin Private File System storage: one file per database under `dir`.
+ * @param {{ dir?: string }=} options
+ * @returns {StorageAdapter}
+ */
+export function createOpfsStorage({ dir = "allez-orm" } = {}) {
+  const root = async () => {
+    if (typeof navigator === "undefined" || !navigator.storage?.getDirectory) {
+      throw new Error("OPFS not available in this environment.");
+    }
+    const top = await navigator.storage.getDirectory();
+    return dir ? top.getDirectoryHandle(dir, { create: true }) : top;
+  };
+  const isNotFound = err => err?.name === "NotFoundError";
+  return {
+    async load(name) {
+      try {
+        const handle = await (await root()).getFileHandle(name);
+        return new Uint8Array(await (await handle.getFile()).arrayBuffer());
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+    async save(name, bytes) {
+      const handle = await (await root()).getFileHandle(name, { create: true });
+      const writable = await handle.createWritable(); // swapped in atomically on close()
+      await writable.write(bytes);
+      await writable.close();
+    },
+    async remove(name) {
+      try {
+        await (await root()).removeEntry(name);
+      } catch (err) {
+        if (!isNotFound(err)) throw err;
+      }
+    },
+    async list() {
+      const names = [];
+      for await (const [name, handle] of (await root()).entries()) {
+        if (handle.kind === "file") names.push(name);
+      }
+      return names;
+    }
+  };
+}
+
+/**
+ * In-memory storage (tests, SSR, throwaway sessions). Bytes are copied on the
+ * way in and out so callers can't mutate stored images.
+ * @returns {StorageAdapter}
+ */
+export function createMemoryStorage() {
+  const dbs = new Map();
+  return {
+    async load(name) {
+      const bytes = dbs.get(name);
+      return bytes ? bytes.slice() : null;
+    },
+    async save(name, bytes) {
+      dbs.set(name, bytes.slice());
+    },
+    async remove(name) {
+      dbs.delete(name);
+    },
+    async list() {
+      return [...dbs.keys()];
+    }
+  };
+}
+
+/**
+ * In-process stand-in for a sync backend (tests, demos). Keeps pushed changes
+ * in order; each connect() returns a { push, pull } transport for one client,
+ * which doesn't pull its own changes back. Pulls return up to `pageSize` changes.
+ * @param {{ pageSize?: number }=} options
+ */
+export function createMemorySyncServer({ pageSize = 100 } = {}) {
+  const log = [];
+  let clients = 0;
+  return {
+    /** Every change pushed so far, oldest first. */
+    get changes() {
+      return log.map(e => structuredClone(e.change));
+    },
+    connect() {
+      const client = ++clients;
+      return {
+        async push(changes) {
+          for (const change of changes) log.push({ client, change: structuredClone(change) });
+        },
+        async pull(cursor) {
+          let at = cursor ?? 0;
+          const changes = [];
+          while (at < log.length && changes.length < pageSize) {
+            const e = log[at++];
+            if (e.client !== client) changes.push(structuredClone(e.change));
+          }
+          return { changes, cursor: at, hasMore: at < log.length };
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Node filesystem storage: names resolve against `dir` (absolute names are used
+ * as-is). Writes go to a temp file first, then rename, so a crash mid-save never
+ * leaves a truncated database behind.
+ * @param {{ dir?: string }=} options
+ * @returns {StorageAdapter}
+ */
+export function createFileStorage({ dir = "." } = {}) {
+  const modules = async () => {
+    if (!isNode) throw new Error("File storage is only available in Node.");
+    return [await import("node:fs/promises"), await import("node:path")];
+  };
+  return {
+    async load(name) {
+      const [fs, path] = await modules();
+      try {
+        return new Uint8Array(await fs.readFile(path.resolve(dir, name)));
+      } catch (err) {
+        if (err?.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async save(name, bytes) {
+      const [fs, path] = await modules();
+      const file = path.resolve(dir, name);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, bytes);
+      await fs.rename(tmp, file);
+    },
+    async remove(name) {
+      const [fs, path] = await modules();
+      await fs.rm(path.resolve(dir, name), { force: true });
+    },
+    async list() {
+      const [fs] = await modules();
+      try {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        return entries.filter(e => e.isFile() && !e.name.endsWith(".tmp")).map(e => e.name);
+      } catch (err) {
+        if (err?.code === "ENOENT") return [];
+        throw err;
+      }
+    }
+  };
+}
+
+// ---------------- worker mode ----------------
+//
+// openWorkerDb() starts a worker running exposeWorker(), which owns the AllezORM
+// instance (sql.js, saves, multiTab). The returned proxy sends each call as
+// { id, method, args } and gets back { id, result } or { id, error }; change
+// events and live-query rows are pushed as { event } / { live } messages.
+// Everything crossing the boundary must be structured-clone-safe, so schemas
+// with migration functions are registered in the worker script instead.
+
+// query-builder steps are recorded on the main thread and replayed in the worker
+const TABLE_CHAIN = ["where", "whereIn", "orderBy", "limit", "offset", "select", "withDeleted", "onlyDeleted", "include"];
+const TABLE_CALLS = ["all", "first", "count", "paginate", "toSQL", "insert", "upsert", "insertMany", "upsertMany",
+  "update", "deleteSoft", "restore", "remove", "findById", "search", "searchLike"];
+const ORM_CALLS = ["saveNow", "flush", "rekey", "exec", "run", "execute", "query", "get", "explain", "validate", "columns",
+  "loadRelations", "registerSchemas", "diffSchema", "migrateTo", "exportDatabase", "exportJSON", "exportCSV", "importJSON", "importCSV"];
+
+/**
+ * Start AllezORM in a dedicated worker and resolve to a proxy with the same
+ * async API (query/get/execute/table/registerSchemas/transaction/on/live...).
+ * `opts.worker` may name a custom worker script that calls exposeWorker().
+ * Differences: toSQL() resolves asynchronously, loadRelations() resolves to
+ * copies instead of filling `rows` in place, and schema() is not available;
+ * neither is sync(), whose transport is functions: run it inside the worker.
+ * @param {InitOptions=} opts
+ */
+export async function openWorkerDb(opts = {}) {
+  const { worker = true, ...initOpts } = opts;
+  const port = await spawnWorker(worker);
+  const db = new AllezWorkerDb(port);
+  try {
+    await db.open(initOpts);
+  } catch (err) {
+    port.terminate();
+    throw err;
+  }
+  return db;
+}
+
+/**
+ * Serve openWorkerDb() requests from inside a worker. `defaults` are merged into
+ * the init options sent by the main thread (schemas are concatenated); use it
+ * for schemas with migrations, storage adapters and other non-cloneable options.
+ * @param {InitOptions=} defaults
+ */
+export async function exposeWorker(defaults = {}) {
+  const port = isNode ? (await import("node:worker_threads")).parentPort : globalThis;
+  const post = msg => port.postMessage(msg);
+  let orm = null;
+  const transactions = new Map();
+  const lives = new Map();
+  let txSeq = 0;
+
+  const handlers = {
+    async init(opts) {
+      if (orm) throw new Error("worker: already initialized");
+      orm = await AllezORM.init({
+        ...defaults,
+        ...opts,
+        worker: false,
+        schemas: [...(defaults.schemas ?? []), ...(opts.schemas ?? [])]
+      });
+      orm.on("change", payload => post({ event: "change", payload }));
+      orm.on("saving", () => post({ event: "saving" }));
+      orm.on("saved", payload => post({ event: "saved", payload }));
+      orm.on("saveError", ({ error }) => post({ event: "saveError", payload: { error: errorInfo(error) } }));
+    },
+    table(table, steps, method, args) {
+      let q = this.table(table);
+      for (const [step, stepArgs] of steps) {
+        if (!TABLE_CHAIN.includes(step)) throw new Error(`worker: unknown query step "${step}"`);
+        q = q[step](...stepArgs);
+      }
+      if (!TABLE_CALLS.includes(method)) throw new Error(`worker: unknown table method "${method}"`);
+      return q[method](...args);
+    },
+    // transaction(): the worker holds BEGIN open until the main thread ends it.
+    // Resolves to the transaction's id once it has started (after earlier writes).
+    begin() {
+      const id = ++txSeq;
+      return new Promise((resolve, reject) => {
+        const tx = {};
+        const body = new Promise((res, rej) => { tx.settle = { resolve: res, reject: rej }; });
+        tx.done = this.transaction(handle => {
+          tx.handle = handle;
+          transactions.set(id, tx);
+          resolve(id);
+          return body;
+        });
+        tx.done.catch(reject); // observed by end() once started
+      });
+    },
+    async end(id, commit) {
+      const tx = transactions.get(id);
+      if (!tx) throw new Error(`worker: unknown transaction ${id}`);
+      transactions.delete(id);
+      if (commit) tx.settle.resolve();
+      else tx.settle.reject(new Error("rolled back"));
+      await tx.done.catch(err => {
+        if (commit) throw err;
+      });
+    },
+    live(id, sql, params) {
+      lives.set(id, orm.live(sql, params, rows => post({ live: id, rows }), {
+        onError: err => post({ live: id, error: errorInfo(err) })
+      }));
+    },
+    unlive(id) {
+      lives.get(id)?.();
+      lives.delete(id);
+    },
+    async close() {
+      for (const stop of lives.values()) stop();
+      lives.clear();
+      await orm.close();
+      orm = null;
+    }
+  };
+  for (const name of ORM_CALLS) handlers[name] = function (...args) { return this[name](...args); };
+
+  // handlers run with `this` set to the database the call targets: the `tx`
+  // of the main-thread transaction it was made in, or the instance itself
+  const target = tx => {
+    if (tx == null) return orm;
+    const open = transactions.get(tx);
+    if (!open) throw new Error(`worker: unknown transaction ${tx}`);
+    return open.handle;
+  };
+
+  const onMessage = async ({ id, method, args, tx }) => {
+    try {
+      if (!Object.hasOwn(handlers, method)) throw new Error(`worker: unknown method "${method}"`);
+      if (!orm && method !== "init") throw new Error("worker: database is not open");
+      post({ id, result: await handlers[method].apply(orm && target(tx), args) });
+    } catch (err) {
+      post({ id, error: errorInfo(err) });
+    }
+  };
+  if (isNode) port.on("message", onMessage);
+  else port.onmessage = e => onMessage(e.data);
+}
+
+/** Main-thread side of openWorkerDb(); see the AllezWorkerDb type. */
+class AllezWorkerDb {
+  #port;
+  #pending = new Map();
+  #seq = 0;
+  #listeners = new Map();
+  #lives = new Map();
+  #txDepth = 0;
+  #onPageHide = null;
+  // id of the worker transaction a call is made in, set while a `tx` call starts
+  #scope = null;
+  // owners ({ id }) of the transactions whose callbacks are running, for txContext
+  #open = new Set();
+
+  constructor(port) {
+    this.#port = port;
+    port.onMessage(msg => this.#onMessage(msg));
+    port.onError(err => this.#failAll(err));
+  }
+
+  /** @param {InitOptions} opts */
+  async open(opts) {
+    await this.#call("init", [opts]);
+    // the worker has no page to watch; flush it from here when the page is hidden
+    const doc = globalThis.document;
+    if (doc && typeof globalThis.addEventListener === "function") {
+      this.#onPageHide = (e) => {
+        if (e.type === "visibilitychange" && doc.visibilityState !== "hidden") return;
+        this.flush().catch(() => {});
+      };
+      doc.addEventListener("visibilitychange", this.#onPageHide);
+      globalThis.addEventListener("pagehide", this.#onPageHide);
+    }
+  }
+
+  saveNow() { return this.#call("saveNow"); }
+  flush() { return this.#call("flush"); }
+  rekey(encryption) { return this.#call("rekey", [encryption]); }
+  exec(sql, params = []) { return this.#call("exec", [sql, params]); }
+  run(sql, params) { return this.exec(sql, params); }
+  execute(sql, params = []) { return this.#call("execute", [sql, params]); }
+  query(sql, params = [], options) { return this.#call("query", [sql, params, options]); }
+  get(sql, params = [], options) { return this.#call("get", [sql, params, options]); }
+  explain(sql, params = []) { return this.#call("explain", [sql, params]); }
+  validate(table, obj, options) { return this.#call("validate", [table, obj, options]); }
+  columns(table) { return this.#call("columns", [table]); }
+  loadRelations(table, rows, include) { return this.#call("loadRelations", [table, rows, include]); }
+  registerSchemas(schemas, options) { return this.#call("registerSchemas", [schemas, options]); }
+  diffSchema(schema) { return this.#call("diffSchema", [schema]); }
+  migrateTo(table, version) { return this.#call("migrateTo", [table, version]); }
+  exportDatabase() { return this.#call("exportDatabase"); }
+  exportJSON(table) { return this.#call("exportJSON", [table]); }
+  exportCSV(table) { return this.#call("exportCSV", [table]); }
+  importJSON(data, options) { return this.#call("importJSON", [data, options]); }
+  importCSV(table, csv, options) { return this.#call("importCSV", [table, csv, options]); }
+
+  /**
+   * Send one request; rejects with the worker's error message. `tx` names the
+   * transaction it belongs to (by default, the one whose `tx` made this call).
+   */
+  #call(method, args = [], tx = this.#caller) {
+    return new Promise((resolve, reject) => {
+      if (!this.#port) throw new Error(`${method}: the worker database is closed`);
+      const id = ++this.#seq;
+      this.#pending.set(id, { resolve, reject });
+      try {
+        this.#port.post({ id, method, args, tx });
+      } catch (err) {
+        this.#pending.delete(id);
+        reject(err?.name === "DataCloneError"
+          ? new Error(`${method}: arguments must be structured-clone-safe (${err.message}). ` +
+            "Register schemas with migration functions, storage adapters and other functions " +
+            "in the worker script with exposeWorker({ ... }).")
+          : err);
+      }
+    });
+  }
+
+  table(table) {
+    return this.#table(table, []);
+  }
+
+  // chain steps accumulate locally; every other call goes to the worker with them
+  #table(table, steps, tx = this.#scope) {
+    const api = {};
+    for (const step of TABLE_CHAIN) api[step] = (...args) => this.#table(table, [...steps, [step, args]], tx);
+    for (const method of TABLE_CALLS) api[method] = (...args) => this.#call("table", [table, steps, method, args], tx ?? this.#caller);
+    return api;
+  }
+
+  /** Worker transaction id the current call belongs to (see AllezORM's #caller). */
+  get #caller() {
+    if (this.#scope != null) return this.#scope;
+    const owner = txContext?.getStore();
+    return this.#open.has(owner) ? owner.id : null;
+  }
+
+  /** Like AllezORM#transaction; `fn` receives this proxy bound to the transaction. */
+  async transaction(fn) {
+    const id = await this.#call("begin"); // nested in the transaction this call was made in, if any
+    const tx = transactionHandle(this, call => {
+      const outer = this.#scope;
+      this.#scope = id;
+      try {
+        return call();
+      } finally {
+        this.#scope = outer;
+      }
+    });
+    const owner = { id };
+    this.#open.add(owner);
+    this.#txDepth++;
+    let result;
+    try {
+      result = await (txContext ? txContext.run(owner, () => fn(tx)) : fn(tx));
+    } catch (err) {
+      this.#txDepth--;
+      this.#open.delete(owner);
+      await this.#call("end", [id, false]);
+      throw err;
+    }
+    this.#txDepth--;
+    this.#open.delete(owner);
+    await this.#call("end", [id, true]);
+    return result;
+  }
+
+  get inTransaction() {
+    return this.#txDepth > 0;
+  }
+
+  on(event, fn) {
+    let set = this.#listeners.get(event);
+    if (!set) this.#listeners.set(event, set = new Set());
+    set.add(fn);
+    return () => this.off(event, fn);
+  }
+
+  off(event, fn) {
+    this.#listeners.get(event)?.delete(fn);
+  }
+
+  live(sql, params, cb, { onError = err => console.error("[AllezORM] live query failed:", err) } = {}) {
+    const id = ++this.#seq;
+    this.#lives.set(id, { cb, onError });
+    this.#call("live", [id, sql, params]).catch(err => {
+      this.#lives.delete(id);
+      onError(err);
+    });
+    return () => {
+      if (this.#lives.delete(id)) this.#call("unlive", [id]).catch(() => {});
+    };
+  }
+
+  async close() {
+    if (this.#onPageHide) {
+      globalThis.document.removeEventListener("visibilitychange", this.#onPageHide);
+      globalThis.removeEventListener("pagehide", this.#onPageHide);
+      this.#onPageHide = null;
+    }
+    try {
+      await this.#call("close");
+    } finally {
+      this.#port.terminate();
+      this.#port = null;
+      this.#failAll(new Error("close: the worker database is closed"));
+    }
+  }
+
+  #onMessage(msg) {
+    if (msg.event) {
+      const listeners = this.#listeners.get(msg.event);
+      if (msg.event === "saveError") {
+        msg.payload = { error: restoreError(msg.payload.error) };
+        if (!listeners?.size) console.error("[AllezORM] save failed:", msg.payload.error);
+      }
+      for (const fn of [...(listeners ?? [])]) {
+        try {
+          fn(msg.payload);
+        } catch (err) {
+          console.error(`[AllezORM] "${msg.event}" listener threw:`, err);
+        }
+      }
+      return;
+    }
+    if (msg.live !== undefined) {
+      const sub = this.#lives.get(msg.live);
+      if (sub) msg.error ? sub.onError(restoreError(msg.error)) : sub.cb(msg.rows);
+      return;
+    }
+    const req = this.#pending.get(msg.id);
+    if (!req) return;
+    this.#pending.delete(msg.id);
+    if (msg.error) req.reject(restoreError(msg.error));
+    else req.resolve(msg.result);
+  }
+
+  #failAll(err) {
+    for (const { reject } of this.#pending.values()) reject(err);
+    this.#pending.clear();
+  }
+}
+
+/** A worker as { post, onMessage, onError, terminate } (Web Worker or node:worker_threads). */
+async function spawnWorker(worker) {
+  if (isNode) {
+    const { Worker } = await import("node:worker_threads");
+    const w = new Worker(worker === true ? new URL("./allez-orm.worker.mjs", import.meta.url) : worker);
+    return {
+      post: msg => w.postMessage(msg),
+      onMessage: fn => w.on("message", fn),
+      onError: fn => w.on("error", fn),
+      terminate: () => void w.terminate()
+    };
+  }
+  // written out so bundlers can find and emit the default worker script
+  const w = worker === true
+    ? new Worker(new URL("./allez-orm.worker.mjs", import.meta.url), { type: "module" })
+    : new Worker(worker, { type: "module" });
+  return {
+    post: msg => w.postMessage(msg),
+    onMessage: fn => { w.onmessage = e => fn(e.data); },
+    onError: fn => { w.onerror = e => fn(new Error(`worker: ${e.message ?? "failed to start"}`)); },
+    terminate: () => w.terminate()
+  };
+}
+
+function errorInfo(err) {
+  const info = { name: err?.name ?? "Error", message: String(err?.message ?? err) };
+  if (err instanceof ValidationError) Object.assign(info, { table: err.table, errors: err.errors });
+  return info;
+}
+
+function restoreError({ name, message, table, errors }) {
+  if (name === "ValidationError") return Object.assign(new ValidationError("", table, errors), { message });
+  const err = new Error(message);
+  if (name && name !== "Error") err.name = name;
+  return err;
 }
 
 // ---------------- Browser-friendly convenience exports ----------------
@@ -373,12 +3855,12 @@ export async function query(db, sql, params = []) {
   return db.query(sql, params);
 }
 
-/** Execute DDL/DML. */
+/** Execute DDL/DML; resolves to { changes, lastInsertRowid }. */
 export async function exec(db, sql, params = []) {
   if (!db || typeof db.execute !== 'function') {
     throw new Error('exec: invalid db instance; expected AllezORM.');
   }
-  await db.execute(sql, params);
+  return await db.execute(sql, params);
 }
 
 // Keep a default export for advanced consumers.
@@ -0,0 +1,7 @@
+// allez-orm.worker.mjs
+// Default worker script for AllezORM.init({ worker: true }) / openWorkerDb().
+// For schemas with migration functions, write your own worker that calls
+// exposeWorker({ schemas }) and pass its URL as `worker`.
+import { exposeWorker } from "./allez-orm.mjs";
+
+exposeWorker();
@@ -13,6 +13,8 @@ const meta      = $("#meta");
 const grid      = $("#grid");
 const tableSel  = $("#tableSel");
 const tableList = $("#tableList");
+const btnPrev   = $("#btnPrev");
+const btnNext   = $("#btnNext");
 const dlgTable  = $("#dlgTable");
 const dlgColumn = $("#dlgColumn");
 
@@ -93,6 +95,8 @@ let orm;
 let currentTable = null;
 let sortCol = null;
 let sortDir = "DESC"; // default newest-first when 'updated_at' exists
+let pageCursors = { prev: null, next: null }; // keyset cursors of the page on screen
+const PAGE_SIZE = 300;
 
 /* ─────────────────────── data access helpers ─────────────────────── */
 async function fetchSchemas() {
@@ -111,7 +115,7 @@ async function initORM() {
 
 async function tableNames() {
   const rows = await orm.query(
-    "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' AND name!='allez_meta' ORDER BY name"
+    "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\' AND name NOT LIKE 'allez\\_%' ESCAPE '\\' ORDER BY name"
   );
   return rows.map(r => r.name);
 }
@@ -167,7 +171,8 @@ function renderTableRows(rows, knownCols /* array of strings */) {
   });
 }
 
-async function searchAndRender() {
+// `page` is { after } or { before } when paging through an unfiltered table; omit for the first page
+async function searchAndRender(page = {}) {
   const table = currentTable || tableSel.value;
   if (!table) return;
 
@@ -184,14 +189,29 @@ async function searchAndRender() {
       : (colNames.includes("updated_at") ? "updated_at" : "id");
   const order = `${orderCol} ${sortDir}`;
 
+  const keyCols = [].concat(orm.schema(table)?.primaryKey ?? "id");
+
   let rows;
-  if (q && textCols.length) {
+  pageCursors = { prev: null, next: null };
+  if (q && orm.schema(table)?.fts) {
+    // ranked full-text search; column sorting applies to the LIKE fallback only.
+    // Soft-deleted rows match too, as in the fallback and the paged grid.
+    rows = await orm.table(table).search(q, { limit: PAGE_SIZE, withDeleted: true });
+  } else if (q && textCols.length) {
     const where  = textCols.map(c => `${table}.${c} LIKE ?`).join(" OR ");
     const params = textCols.map(() => `%${q}%`);
-    rows = await orm.query(`SELECT * FROM ${table} WHERE (${where}) ORDER BY ${order} LIMIT 300`, params);
+    rows = await orm.query(`SELECT * FROM ${table} WHERE (${where}) ORDER BY ${order} LIMIT ${PAGE_SIZE}`, params);
+  } else if (keyCols.every(c => colNames.includes(c))) {
+    // keyset pages (soft-deleted rows included, as everywhere in the Studio)
+    const res = await orm.table(table).withDeleted()
+      .paginate({ orderBy: [[orderCol, sortDir]], limit: PAGE_SIZE, ...page });
+    rows = res.rows;
+    pageCursors = { prev: res.prevCursor, next: res.nextCursor };
   } else {
-    rows = await orm.query(`SELECT * FROM ${table} ORDER BY ${order} LIMIT 300`);
+    rows = await orm.query(`SELECT * FROM ${table} ORDER BY ${order} LIMIT ${PAGE_SIZE}`);
   }
+  btnPrev.disabled = !pageCursors.prev;
+  btnNext.disabled = !pageCursors.next;
 
   meta.textContent = `${rows.length} shown • ${table}`;
   renderTableRows(rows, colNames);
@@ -225,7 +245,9 @@ on(tableSel, "change", () => {
   searchAndRender();
 });
 
-on(qSel, "input", debounce(searchAndRender, 180));
+on(qSel, "input", debounce(() => searchAndRender(), 180));
+on(btnPrev, "click", () => searchAndRender({ before: pageCursors.prev }));
+on(btnNext, "click", () => searchAndRender({ after: pageCursors.next }));
 
 /* Run-SQL box */
 on($("#btnExec"), "click", async () => {
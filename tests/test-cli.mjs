@@ -77,6 +77,7 @@ const usersTxt = read(usersPath);
 
 // order: UNIQUE then NOT NULL
 assert.match(usersTxt, /email TEXT UNIQUE NOT NULL/, "users.email has UNIQUE then NOT NULL");
+assert.match(usersTxt, /timestamps: true,\s*softDelete: true,/, "--stamps marks the schema as stamped");
 console.log("✔ create users with email unique + stamps");
 
 // 5) create posts with FK user_id -> users(id) CASCADE + stamps (inline FK; no extraSQL)
@@ -0,0 +1,797 @@
+// tests/test-node.mjs
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import assert from "node:assert";
+import { AllezORM, createMemoryStorage, createFileStorage, createMemorySyncServer, ValidationError,
+  belongsTo, hasMany } from "../allez-orm.mjs";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "allez-orm-"));
+const filename = path.join(tmpDir, "data", "app.sqlite");
+
+const UsersSchema = {
+  table: "users",
+  version: 1,
+  createSQL: `
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT UNIQUE NOT NULL,
+  display_name TEXT,
+  deleted_at TEXT
+);`,
+  relations: { posts: hasMany("posts", "user_id") }
+};
+
+const PostsSchema = {
+  table: "posts",
+  version: 1,
+  createSQL: `
+CREATE TABLE IF NOT EXISTS posts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  title TEXT NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE
+);`,
+  relations: { author: belongsTo("users", "user_id") }
+};
+
+const schemas = [UsersSchema, PostsSchema];
+
+console.log("=== Node runtime tests ===");
+
+try {
+  // 1) file-backed init + table helpers
+  const orm = await AllezORM.init({ filename, schemas, autoSaveMs: 10 });
+  const users = orm.table("users");
+  const posts = orm.table("posts");
+  const ins = await users.insert({ email: "a@example.com", display_name: "A" });
+  assert.deepStrictEqual(ins, { changes: 1, lastInsertRowid: 1 });
+  const a = await users.where({ email: "a@example.com" }).first();
+  assert.ok(a && a.id === 1, "inserted user readable");
+  assert.strictEqual((await users.where({ email: "a@example.com", display_name: undefined }).first())?.id, 1,
+    "undefined filter keys are skipped");
+  assert.throws(() => users.where("display_name", "=", undefined), /where: value for "display_name" is undefined/);
+  assert.throws(() => users.whereIn("id", [1, undefined]), /whereIn: values for "id" include undefined/);
+  const upd = await users.update(a.id, { display_name: "A!" }, { returning: true });
+  assert.strictEqual(upd.row.display_name, "A!");
+  assert.strictEqual((await users.remove(999)).changes, 0);
+  console.log("✔ init({ filename }) + table helpers");
+
+  // 2) transactions: inner savepoint rollback keeps outer work
+  await orm.transaction(async (tx) => {
+    await tx.table("posts").insert({ title: "kept", user_id: a.id });
+    await assert.rejects(tx.transaction(async (inner) => {
+      await inner.table("posts").insert({ title: "dropped", user_id: a.id });
+      throw new Error("inner");
+    }), /inner/);
+  });
+  assert.deepStrictEqual((await posts.all()).map(p => p.title), ["kept"]);
+  console.log("✔ nested transaction rolls back to its savepoint");
+
+  // overlapping top-level transactions run one after the other; writes outside them wait
+  const iso = await AllezORM.init({ schemas });
+  await iso.table("users").insert({ id: 1, email: "iso@example.com" });
+  const sleep = ms => new Promise(r => setTimeout(r, ms));
+  const txA = iso.transaction(async tx => {
+    await tx.table("posts").insert({ title: "A", user_id: 1 });
+    await sleep(10);
+  });
+  const txB = iso.transaction(async tx => {
+    await tx.table("posts").insert({ title: "B", user_id: 1 });
+    await sleep(30);
+    throw new Error("B failed");
+  });
+  const outsideWrite = iso.table("posts").insert({ title: "C", user_id: 1 });
+  await txA;
+  await assert.rejects(txB, /B failed/);
+  await outsideWrite;
+  const txX = iso.transaction(async tx => {
+    await tx.table("posts").insert({ title: "X", user_id: 1 });
+    await sleep(20);
+    throw new Error("X failed");
+  });
+  const txY = iso.transaction(async tx => {
+    await tx.table("posts").insert({ title: "Y", user_id: 1 });
+  });
+  await assert.rejects(txX, /X failed/);
+  await txY;
+  assert.deepStrictEqual((await iso.table("posts").all()).map(p => p.title), ["A", "C", "Y"]);
+
+  // a helper built beforehand, and the instance itself, write inside the transaction they're called in
+  const isoPosts = iso.table("posts");
+  await assert.rejects(iso.transaction(async () => {
+    await isoPosts.insert({ title: "P", user_id: 1 });
+    await iso.execute("INSERT INTO posts(title, user_id) VALUES('Q', 1)");
+    assert.strictEqual(await isoPosts.count(), 5);
+    throw new Error("undo P and Q");
+  }), /undo P and Q/);
+  await iso.transaction(async () => {
+    await isoPosts.insert({ title: "R", user_id: 1 });
+  });
+  assert.deepStrictEqual((await isoPosts.all()).map(p => p.title), ["A", "C", "Y", "R"]);
+  await iso.close();
+  console.log("✔ concurrent transactions are isolated from each other and from outside writes");
+
+  // 3) relations: nested include, one query per level
+  const [withPosts] = await users.include("posts.author").all();
+  assert.strictEqual(withPosts.posts.length, 1);
+  assert.strictEqual(withPosts.posts[0].author.email, "a@example.com");
+  assert.strictEqual((await posts.findById(1, { include: ["author"] })).author.id, a.id);
+  console.log("✔ include() eager-loads belongsTo / hasMany");
+
+  // 4) strict columns
+  await assert.rejects(users.insert({ email: "b@example.com", bogus: 1 }), /unknown column "bogus"/);
+  console.log("✔ unknown payload column rejected");
+
+  // 5) persisted to disk and reloaded
+  await orm.close();
+  assert.ok(fs.existsSync(filename), "database file written");
+  const orm2 = await AllezORM.init({ filename, schemas });
+  assert.strictEqual(await orm2.table("posts").count(), 1);
+  assert.strictEqual((await orm2.get("PRAGMA foreign_keys")).foreign_keys, 1);
+  await orm2.close();
+  console.log("✔ close() flushes to file; reopen restores rows");
+
+  // 6) pluggable storage: memory adapter shared between two instances
+  const storage = createMemoryStorage();
+  const m1 = await AllezORM.init({ dbName: "mem.db", storage, schemas });
+  await m1.table("users").insert({ email: "m@example.com" });
+  await m1.close();
+  assert.deepStrictEqual(await storage.list(), ["mem.db"]);
+  const m2 = await AllezORM.init({ dbName: "mem.db", storage, schemas });
+  assert.strictEqual(await m2.table("users").count(), 1);
+  await m2.close();
+  await storage.remove("mem.db");
+  assert.strictEqual(await storage.load("mem.db"), null);
+  console.log("✔ memory storage adapter load/save/list/remove");
+
+  // 7) file adapter lists what it saved
+  const files = createFileStorage({ dir: path.join(tmpDir, "store") });
+  await files.save("a.db", new Uint8Array([1, 2, 3]));
+  assert.deepStrictEqual(await files.list(), ["a.db"]);
+  assert.deepStrictEqual([...(await files.load("a.db"))], [1, 2, 3]);
+  await files.remove("a.db");
+  assert.deepStrictEqual(await files.list(), []);
+  console.log("✔ file storage adapter load/save/list/remove");
+
+  // 8) migrations: ordered, transactional, recorded; failed step keeps the old version
+  const migStorage = createMemoryStorage();
+  const v1 = { table: "notes", createSQL: "CREATE TABLE IF NOT EXISTS notes (id INTEGER PRIMARY KEY, body TEXT);" };
+  const n1 = await AllezORM.init({ dbName: "mig.db", storage: migStorage, schemas: [v1] });
+  await n1.close();
+  const v3 = {
+    ...v1,
+    migrations: [
+      { version: 2, up: tx => tx.execute("ALTER TABLE notes ADD COLUMN pinned INTEGER DEFAULT 0"),
+        down: tx => tx.execute("ALTER TABLE notes DROP COLUMN pinned") },
+      { version: 3, up: async tx => {
+        await tx.execute("ALTER TABLE notes ADD COLUMN tag TEXT");
+        throw new Error("boom");
+      } }
+    ]
+  };
+  await assert.rejects(AllezORM.init({ dbName: "mig.db", storage: migStorage, schemas: [v3] }), /boom/);
+  const n2 = await AllezORM.init({ dbName: "mig.db", storage: migStorage, schemas: [{ ...v3, version: 2 }], schemaDiff: "off" });
+  assert.strictEqual((await n2.get("SELECT version FROM allez_meta WHERE table_name='notes'")).version, 2);
+  assert.deepStrictEqual(await n2.columns("notes"), ["id", "body", "pinned"]);
+  const history = await n2.query("SELECT name, version, checksum FROM allez_migrations");
+  assert.deepStrictEqual(history.map(h => [h.name, h.version]), [["notes", 2]]);
+  await n2.execute("INSERT INTO notes(body, pinned) VALUES('kept', 1)");
+  await n2.close();
+
+  // an older build opening a newer database warns and leaves the table alone
+  const olderWarned = [];
+  const warnBefore = console.warn;
+  console.warn = (...args) => olderWarned.push(args.join(" "));
+  let older;
+  try {
+    older = await AllezORM.init({ dbName: "mig.db", storage: migStorage, schemas: [{ ...v3, version: 1 }] });
+  } finally {
+    console.warn = warnBefore;
+  }
+  assert.ok(olderWarned.some(w => w.includes("newer than this schema")));
+  assert.deepStrictEqual(await older.query("SELECT body, pinned FROM notes"), [{ body: "kept", pinned: 1 }]);
+  assert.strictEqual((await older.get("SELECT version FROM allez_meta WHERE table_name='notes'")).version, 2);
+  await older.close();
+
+  const n3 = await AllezORM.init({ dbName: "mig.db", storage: migStorage, schemas: [{ ...v3, version: 2 }], schemaDiff: "off" });
+  assert.strictEqual(await n3.migrateTo("notes", 1), 1);
+  assert.deepStrictEqual(await n3.columns("notes"), ["id", "body"]);
+  await n3.close();
+  console.log("✔ migrations run in order, record history, roll back only with migrateTo");
+
+  // 9) schema diff: dry-run reports, ADD COLUMN applied, constraint change rebuilds and keeps rows
+  const diffStorage = createMemoryStorage();
+  const d1 = await AllezORM.init({ dbName: "diff.db", storage: diffStorage, schemas });
+  await d1.table("users").insert({ email: "d@example.com" });
+  await d1.table("posts").insert({ title: "p", user_id: 1 });
+  await d1.close();
+  const usersV2 = {
+    ...UsersSchema,
+    createSQL: UsersSchema.createSQL.replace("display_name TEXT,", "display_name TEXT,\n  bio TEXT DEFAULT '',")
+  };
+  const d2 = await AllezORM.init({ dbName: "diff.db", storage: diffStorage, schemas, schemaDiff: "off" });
+  const [dry] = await d2.registerSchemas([usersV2], { diff: "dry-run" });
+  assert.deepStrictEqual(dry.statements, [`ALTER TABLE "users" ADD COLUMN "bio" TEXT DEFAULT ''`]);
+  assert.ok(!(await d2.columns("users")).includes("bio"), "dry-run changes nothing");
+  await d2.registerSchemas([usersV2], { diff: "apply" });
+  assert.ok((await d2.columns("users")).includes("bio"), "column added");
+  const postsV2 = { ...PostsSchema, createSQL: PostsSchema.createSQL.replace("title TEXT NOT NULL", "title TEXT NOT NULL UNIQUE") };
+  const [rebuilt] = await d2.registerSchemas([postsV2], { diff: "apply" });
+  assert.ok(rebuilt.rebuild, "constraint change needs a rebuild");
+  assert.deepStrictEqual(await d2.registerSchemas([usersV2, postsV2], { diff: "apply" }), [], "no drift left");
+  assert.strictEqual(await d2.table("posts").count(), 1);
+  assert.strictEqual(await d2.table("users").count(), 1, "no ON DELETE CASCADE fired by the rebuild");
+  await d2.close();
+  console.log("✔ schema diff: dry-run, ADD COLUMN, table rebuild");
+
+  // 10) managed timestamps + soft delete
+  const TasksSchema = {
+    table: "tasks",
+    timestamps: true,
+    softDelete: "removed_at",
+    createSQL: `CREATE TABLE IF NOT EXISTS tasks (
+      id INTEGER PRIMARY KEY, title TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL, removed_at TEXT
+    );`
+  };
+  const s1 = await AllezORM.init({ schemas: [TasksSchema] });
+  const tasks = s1.table("tasks");
+  await tasks.insert({ id: 1, title: "a" });
+  await tasks.upsert({ id: 2, title: "b", created_at: "2000-01-01T00:00:00.000Z" });
+  await tasks.upsert({ id: 2, title: "b2" });
+  const t2 = await tasks.findById(2);
+  assert.strictEqual(t2.created_at, "2000-01-01T00:00:00.000Z", "upsert keeps created_at");
+  assert.ok(t2.updated_at > t2.created_at);
+  await tasks.deleteSoft(1);
+  assert.strictEqual(await tasks.findById(1), undefined);
+  assert.strictEqual(await tasks.count(), 1);
+  assert.deepStrictEqual((await tasks.onlyDeleted().all()).map(t => t.id), [1]);
+  assert.strictEqual(await tasks.withDeleted().count(), 2);
+  await tasks.restore(1);
+  assert.strictEqual((await tasks.findById(1)).removed_at, null);
+  // schemas without the softDelete flag (older CLI output) fall back to a deleted_at column
+  const legacy = await AllezORM.init({ schemas });
+  await legacy.table("users").insert({ id: 1, email: "old@example.com" });
+  assert.strictEqual((await legacy.table("users").deleteSoft(1, "2024-01-01")).changes, 1);
+  assert.strictEqual((await legacy.get("SELECT deleted_at FROM users")).deleted_at, "2024-01-01");
+  await assert.rejects(legacy.table("posts").deleteSoft(1), /no soft-delete column/);
+  await legacy.close();
+  console.log("✔ timestamps filled; soft-deleted rows hidden, restorable");
+
+  // 11) bulk writes: one transaction, ids aligned with input, all-or-nothing
+  const bulk = await tasks.insertMany(
+    [{ id: 10, title: "x" }, { id: 1, title: "dup" }, { title: "y" }],
+    { onConflict: "ignore", returnIds: true }
+  );
+  assert.deepStrictEqual(bulk, { count: 2, ids: [10, null, 11] });
+  assert.deepStrictEqual(await tasks.upsertMany([{ id: 10, title: "x2" }, { id: 12, title: "z" }]), { count: 2 });
+  await assert.rejects(tasks.insertMany([{ id: 20 }, { id: 21, nope: 1 }]), /unknown column "nope"/);
+  assert.strictEqual(await tasks.findById(20), undefined, "failed batch rolled back");
+  // a write made while a chunked batch yields waits for it instead of joining (and sharing its rollback)
+  const clash = Array.from({ length: 300 }, (_, i) => ({ id: 100 + i, title: `t${i}` }));
+  clash[250].id = 100;
+  const failing = tasks.insertMany(clash, { chunkSize: 50 });
+  await new Promise(r => setTimeout(r, 0));
+  const independent = await tasks.insert({ id: 99, title: "independent" });
+  await assert.rejects(failing, /UNIQUE/);
+  assert.strictEqual(independent.changes, 1);
+  assert.strictEqual((await tasks.findById(99)).title, "independent");
+  assert.strictEqual(await tasks.findById(100), undefined);
+  await s1.close();
+  console.log("✔ insertMany / upsertMany");
+
+  // 12) primary keys: composite keys as objects, upsert on a unique index
+  const k1 = await AllezORM.init({ schemas: [{
+    table: "memberships",
+    primaryKey: ["user_id", "org_id"],
+    createSQL: "CREATE TABLE memberships (user_id INTEGER, org_id INTEGER, role TEXT, PRIMARY KEY (user_id, org_id));"
+  }, UsersSchema] });
+  const ms = k1.table("memberships");
+  await ms.upsert({ user_id: 1, org_id: 2, role: "member" });
+  await ms.upsert({ user_id: 1, org_id: 2, role: "owner" });
+  await ms.update({ user_id: 1, org_id: 2 }, { role: "admin" });
+  assert.strictEqual((await ms.findById({ user_id: 1, org_id: 2 })).role, "admin");
+  await assert.rejects(ms.remove(1), /must be an object with user_id, org_id/);
+  const ku = k1.table("users");
+  await ku.insert({ email: "k@example.com", display_name: "K" });
+  await ku.upsert({ email: "k@example.com", display_name: "K2", deleted_at: "x" }, { conflict: "email", update: ["display_name"] });
+  const k = await ku.where({ email: "k@example.com" }).first();
+  assert.deepStrictEqual([k.display_name, k.deleted_at], ["K2", null]);
+  await k1.close();
+  console.log("✔ composite primary keys and upsert conflict targets");
+
+  // 13) change events (after commit only) and live queries
+  const e1 = await AllezORM.init({ schemas });
+  const events = [];
+  const unsubscribe = e1.on("change", e => events.push(e));
+  await e1.table("users").insert({ id: 1, email: "e@example.com" });
+  await assert.rejects(e1.transaction(async tx => {
+    await tx.table("posts").insert({ title: "gone", user_id: 1 });
+    throw new Error("abort");
+  }), /abort/);
+  await e1.transaction(async tx => {
+    await tx.table("posts").insertMany([{ id: 1, title: "a", user_id: 1 }, { id: 2, title: "b", user_id: 1 }]);
+    assert.strictEqual(events.length, 1, "nothing emitted before commit");
+  });
+  assert.deepStrictEqual(events, [
+    { table: "users", op: "insert", ids: [1] },
+    { table: "posts", op: "insert", ids: [1, 2] }
+  ]);
+  unsubscribe();
+  const seen = [];
+  const stop = e1.live("SELECT COUNT(*) AS n FROM posts WHERE user_id = ?", [1], rows => seen.push(rows[0].n));
+  await new Promise(r => setTimeout(r, 0));
+  await e1.table("users").update(1, { display_name: "E" }); // not read by the query
+  await e1.table("posts").remove(2);
+  await new Promise(r => setTimeout(r, 0));
+  stop();
+  await e1.table("posts").remove(1);
+  await new Promise(r => setTimeout(r, 0));
+  assert.deepStrictEqual(seen, [2, 1]);
+  await e1.close();
+  console.log("✔ change events and live queries");
+
+  // 14) multi-tab: two instances stand in for two tabs (in-process Web Locks stand-in)
+  const lockQueues = new Map();
+  const locks = {
+    async request(name, options, cb) {
+      if (typeof options === "function") [cb, options] = [options, {}];
+      const prev = lockQueues.get(name);
+      if (prev && options.ifAvailable) return await cb(null);
+      let release;
+      const mine = new Promise(r => { release = r; });
+      const queued = (prev ?? Promise.resolve()).then(() => mine);
+      lockQueues.set(name, queued);
+      await prev;
+      try {
+        return await cb({ name });
+      } finally {
+        release();
+        if (lockQueues.get(name) === queued) lockQueues.delete(name);
+      }
+    }
+  };
+  Object.defineProperty(globalThis, "navigator", { value: { locks }, configurable: true });
+  const tabStorage = createMemoryStorage();
+  const leader = await AllezORM.init({ dbName: "tabs.db", storage: tabStorage, schemas, multiTab: true });
+  const follower = await AllezORM.init({ dbName: "tabs.db", storage: tabStorage, schemas, multiTab: true });
+  assert.deepStrictEqual([leader.isLeader, follower.isLeader], [true, false]);
+  const followerEvents = [];
+  follower.on("change", e => followerEvents.push(e));
+  assert.deepStrictEqual(await follower.table("users").insert({ email: "tab@example.com" }), { changes: 1, lastInsertRowid: 1 });
+  assert.strictEqual(await follower.table("users").count(), 1, "follower reloaded before its write resolved");
+  assert.deepStrictEqual(followerEvents, [{ table: "users", op: "insert", ids: [1] }]);
+  await follower.transaction(async tx => {
+    await tx.table("posts").insert({ title: "t1", user_id: 1 });
+    await tx.table("posts").insert({ title: "t2", user_id: 1 });
+  });
+  assert.strictEqual(await leader.table("posts").count(), 2, "transaction replayed on the leader");
+  await assert.rejects(follower.table("users").insert({ email: "tab@example.com" }), /UNIQUE/);
+  await leader.close();
+  await new Promise(r => setTimeout(r, 0));
+  assert.ok(follower.isLeader, "follower takes over when the leader closes");
+  await follower.table("posts").remove(1);
+  await follower.close();
+  const reopened = await AllezORM.init({ dbName: "tabs.db", storage: tabStorage, schemas });
+  assert.strictEqual(await reopened.table("posts").count(), 1);
+  await reopened.close();
+  console.log("✔ multiTab: followers forward writes, leader persists, hand-over on close");
+
+  // 15) worker mode: same async API through node:worker_threads
+  const wdb = await AllezORM.init({ worker: true, storage: null, schemas });
+  const workerEvents = [];
+  wdb.on("change", e => workerEvents.push(e));
+  const wi = await wdb.table("users").insert({ email: "w@example.com" }, { returning: true });
+  assert.strictEqual(wi.row.email, "w@example.com");
+  await wdb.transaction(async tx => {
+    await tx.table("posts").insertMany([{ title: "w1", user_id: 1 }, { title: "w2", user_id: 1 }]);
+  });
+  const workerPosts = wdb.table("posts");
+  await assert.rejects(wdb.transaction(async tx => {
+    await tx.table("posts").remove(1);
+    await workerPosts.insert({ title: "w3", user_id: 1 });
+    throw new Error("undo");
+  }), /undo/);
+  assert.deepStrictEqual((await wdb.table("posts").where("title", "LIKE", "w%").orderBy("id", "desc").all()).map(p => p.title), ["w2", "w1"]);
+  await assert.rejects(wdb.table("users").insert({ email: "w@example.com" }), /UNIQUE constraint failed: users.email/);
+  await assert.rejects(wdb.registerSchemas([{ ...v3 }]), /structured-clone-safe/);
+  assert.deepStrictEqual(workerEvents.map(e => `${e.table}:${e.op}`), ["users:insert", "posts:insert"]);
+  await wdb.close();
+  await assert.rejects(wdb.query("SELECT 1"), /closed/);
+  console.log("✔ worker mode proxies queries, transactions, errors and events");
+
+  // 16) full-text search: triggers keep the index in sync, bm25 ranking, soft delete respected
+  const ArticlesSchema = {
+    table: "articles",
+    softDelete: true,
+    fts: { columns: ["title", "body"], tokenize: "porter" },
+    createSQL: `CREATE TABLE IF NOT EXISTS articles (
+      id INTEGER PRIMARY KEY, title TEXT, body TEXT, deleted_at TEXT
+    );`
+  };
+  const f1 = await AllezORM.init({ schemas: [ArticlesSchema] });
+  const articles = f1.table("articles");
+  await articles.insertMany([
+    { id: 1, title: "Gardening", body: "Water the plants weekly" },
+    { id: 2, title: "Running shoes", body: "Shoes for running, and running again" },
+    { id: 3, title: "Travel", body: "Runs along the coast" }
+  ]);
+  assert.deepStrictEqual((await articles.search("run")).map(a => a.id), [2, 3]);
+  const [hit] = await articles.search("plant", { highlight: true, snippet: true });
+  assert.strictEqual(hit._highlight.body, "Water the <mark>plants</mark> weekly");
+  assert.ok(hit._snippet.includes("<mark>plants</mark>"));
+  await articles.update(1, { body: "Mow the lawn" });
+  assert.deepStrictEqual(await articles.search("plant"), []);
+  await articles.deleteSoft(2);
+  assert.deepStrictEqual((await articles.search("run")).map(a => a.id), [3]);
+  await articles.remove(3);
+  assert.deepStrictEqual((await articles.search("run", { withDeleted: true })).map(a => a.id), [2]);
+  await f1.close();
+  console.log("✔ fts search ranked, highlighted, kept in sync by triggers");
+
+  // 17) import/export: SQLite image, JSON and CSV dumps, FK-ordered imports
+  const x1 = await AllezORM.init({ schemas });
+  await x1.table("users").insert({ id: 1, email: 'q"uote,d@example.com', display_name: "" });
+  await x1.table("posts").insert({ id: 1, title: "line\nbreak", user_id: 1 });
+  const image = await x1.exportDatabase();
+  const dump = await x1.exportJSON();
+  assert.deepStrictEqual(Object.keys(dump), ["users", "posts"], "parents first");
+  const csv = await x1.exportCSV("users");
+  assert.strictEqual(csv, 'id,email,display_name,deleted_at\r\n1,"q""uote,d@example.com","",\r\n');
+  await x1.close();
+
+  const xStorage = createMemoryStorage();
+  await assert.rejects(AllezORM.importDatabase("copy.db", new Uint8Array(100), { storage: xStorage }), /not a SQLite database/);
+  await AllezORM.importDatabase("copy.db", image, { storage: xStorage });
+  const x2 = await AllezORM.init({ dbName: "copy.db", storage: xStorage, schemas });
+  assert.strictEqual((await x2.table("posts").findById(1)).title, "line\nbreak");
+  await x2.close();
+
+  const x3 = await AllezORM.init({ schemas });
+  assert.deepStrictEqual(await x3.importJSON({ posts: dump.posts, users: dump.users }), { users: 1, posts: 1 });
+  assert.strictEqual(await x3.importCSV("users", "Mail,Name\r\nz@example.com,\r\n", { columns: { Mail: "email", Name: "display_name" } }), 1);
+  assert.strictEqual((await x3.table("users").where({ email: "z@example.com" }).first()).display_name, null);
+  assert.deepStrictEqual(await x3.table("users").where({ email: 'q"uote,d@example.com' }).select(["display_name"]).first(), { display_name: "" });
+  await assert.rejects(x3.importJSON({ posts: [{ title: "orphan", user_id: 99 }] }), /FOREIGN KEY/);
+  assert.strictEqual(await x3.table("posts").count(), 1, "failed import rolled back");
+  await x3.close();
+
+  const big = "CREATE TABLE big (id INTEGER PRIMARY KEY, n INTEGER)";
+  const b1 = await AllezORM.init();
+  await b1.exec(big);
+  await b1.exec("INSERT INTO big VALUES (5, 9007199254740993)");
+  const bigDump = await b1.exportJSON("big");
+  assert.deepStrictEqual(bigDump, [{ id: 5, n: { $bigint: "9007199254740993" } }]);
+  assert.strictEqual(await b1.exportCSV("big"), "id,n\r\n5,9007199254740993\r\n");
+  await b1.close();
+  for (const load of [db => db.importJSON({ big: bigDump }), db => db.importCSV("big", "id,n\r\n5,9007199254740993\r\n")]) {
+    const b2 = await AllezORM.init();
+    await b2.exec(big);
+    await load(b2);
+    assert.deepStrictEqual(await b2.query("SELECT id, n FROM big", [], { bigint: true }), [{ id: 5n, n: 9007199254740993n }]);
+    await b2.close();
+  }
+
+  const blobs = "CREATE TABLE files (id INTEGER PRIMARY KEY, name TEXT, data BLOB)";
+  const f2 = await AllezORM.init();
+  await f2.exec(blobs);
+  await f2.execute("INSERT INTO files VALUES (1, 'AQID', ?), (2, 'empty', NULL)", [new Uint8Array([1, 2, 3])]);
+  const filesCSV = await f2.exportCSV("files");
+  await f2.close();
+  const f3 = await AllezORM.init();
+  await f3.exec(blobs);
+  assert.strictEqual(await f3.importCSV("files", filesCSV), 2);
+  assert.deepStrictEqual(await f3.query("SELECT name, typeof(data) AS type FROM files ORDER BY id"),
+    [{ name: "AQID", type: "blob" }, { name: "empty", type: "null" }], "only BLOB columns are read as base64");
+  assert.deepStrictEqual([...(await f3.get("SELECT data FROM files WHERE id = 1")).data], [1, 2, 3]);
+  await assert.rejects(f3.importCSV("files", "id,data\r\n3,not base64!\r\n"), /"data" of record 1 is not base64/);
+  await f3.close();
+  console.log("✔ exportDatabase/importDatabase, JSON and CSV dumps and imports");
+
+  // 18) save scheduling: debounce with a max-wait ceiling, one save in flight, status events
+  const inner = createMemoryStorage();
+  let saves = 0, inFlight = 0, maxInFlight = 0, failNext = false;
+  const slowStorage = {
+    ...inner,
+    async save(name, bytes) {
+      saves++;
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await new Promise(r => setTimeout(r, 20));
+      inFlight--;
+      if (failNext) { failNext = false; throw new Error("disk full"); }
+      return inner.save(name, bytes);
+    }
+  };
+  const sv = await AllezORM.init({ storage: slowStorage, schemas, autoSaveMs: 30, autoSaveMaxWaitMs: 60 });
+  const status = [];
+  sv.on("saving", () => status.push("saving"));
+  sv.on("saved", ({ pending }) => status.push(pending ? "saved+pending" : "saved"));
+  sv.on("saveError", ({ error }) => status.push(`error:${error.message}`));
+  saves = 0;
+  await sv.exec("INSERT INTO users(email) VALUES('s1@example.com')");
+  assert.strictEqual(saves, 0, "exec() schedules the save instead of awaiting it");
+  assert.ok(sv.unsaved);
+  for (let i = 0; i < 6; i++) {
+    await sv.table("users").insert({ email: `burst${i}@example.com` });
+    await new Promise(r => setTimeout(r, 15));
+  }
+  assert.ok(saves >= 1, "max wait ceiling saves during a burst of writes");
+  await sv.flush();
+  assert.strictEqual(sv.unsaved, false);
+  saves = 0;
+  status.length = 0;
+  await Promise.all([sv.saveNow(), sv.saveNow(), sv.saveNow()]);
+  assert.strictEqual(maxInFlight, 1, "one save in flight at a time");
+  assert.ok(saves <= 2, "calls during a save fold into one more pass");
+  assert.strictEqual(status.at(-1), "saved");
+  failNext = true;
+  await sv.table("users").insert({ email: "fail@example.com" });
+  await assert.rejects(sv.flush(), /disk full/);
+  assert.ok(status.includes("error:disk full") && sv.unsaved);
+  await sv.close(); // retries the failed save
+  assert.strictEqual(status.at(-1), "saved");
+  const sv2 = await AllezORM.init({ storage: inner, schemas });
+  assert.strictEqual(await sv2.table("users").count(), 8);
+  await sv2.close();
+  console.log("✔ save scheduler: max wait, single flight, flush() and save status events");
+
+  // 19) at-rest encryption: passphrase and raw key, wrong-key error, rekey
+  const encStorage = createMemoryStorage();
+  const enc1 = await AllezORM.init({ storage: encStorage, schemas, encryption: { passphrase: "correct horse", iterations: 1000 } });
+  await enc1.table("users").insert({ email: "secret@example.com" });
+  await enc1.close();
+  const stored = await encStorage.load("allez.db");
+  assert.strictEqual(new TextDecoder().decode(stored.subarray(0, 8)), "ALLEZENC");
+  assert.ok(!Buffer.from(stored).includes("secret@example.com"), "no plaintext in storage");
+  await assert.rejects(AllezORM.init({ storage: encStorage, encryption: { passphrase: "wrong" } }), /wrong key or passphrase/);
+  await assert.rejects(AllezORM.init({ storage: encStorage }), /is encrypted/);
+  const enc2 = await AllezORM.init({ storage: encStorage, schemas, encryption: { passphrase: "correct horse" } });
+  assert.strictEqual(await enc2.table("users").count(), 1);
+  const rawKey = crypto.getRandomValues(new Uint8Array(32));
+  await enc2.rekey({ key: rawKey });
+  await enc2.close();
+  await assert.rejects(AllezORM.init({ storage: encStorage, encryption: { passphrase: "correct horse" } }), /wrong key/);
+  const enc3 = await AllezORM.init({ storage: encStorage, schemas, encryption: { key: rawKey } });
+  assert.strictEqual((await enc3.table("users").first()).email, "secret@example.com");
+  await enc3.rekey(null);
+  await enc3.close();
+  const enc4 = await AllezORM.init({ storage: encStorage, schemas, encryption: { key: rawKey } });
+  await enc4.close(); // a plaintext database is encrypted on open
+  assert.strictEqual(new TextDecoder().decode((await encStorage.load("allez.db")).subarray(0, 8)), "ALLEZENC");
+  console.log("✔ encryption: passphrase/key round-trip, wrong-key error, rekey");
+
+  // 20) prepared statement cache: reuse by SQL text, LRU eviction, cleared on DDL and reopen
+  const pc = await AllezORM.init({ schemas, statementCacheSize: 4 });
+  let prepared = 0;
+  const prepare = pc.db.prepare.bind(pc.db);
+  pc.db.prepare = sql => { prepared++; return prepare(sql); };
+  for (let i = 0; i < 20; i++) await pc.execute("INSERT INTO users(email) VALUES(?)", [`loop${i}@example.com`]);
+  for (let i = 0; i < 20; i++) assert.strictEqual((await pc.get("SELECT email FROM users WHERE email = ?", [`loop${i}@example.com`])).email, `loop${i}@example.com`);
+  assert.strictEqual(prepared, 4, "one prepare per distinct statement (a write also reads its change counts)");
+  for (const n of [1, 2, 3, 4]) await pc.query(`SELECT ${n}`);
+  prepared = 0;
+  await pc.get("SELECT email FROM users WHERE email = ?", ["loop0@example.com"]);
+  assert.strictEqual(prepared, 1, "least recently used statement was evicted");
+  await pc.exec("ALTER TABLE users ADD COLUMN nickname TEXT");
+  prepared = 0;
+  await pc.query("SELECT 4");
+  assert.strictEqual(prepared, 1, "DDL clears the cache");
+  await pc.saveNow();
+  assert.deepStrictEqual(await pc.query("SELECT 4 AS n"), [{ n: 4 }], "cache is rebuilt after the handle is reopened");
+  await pc.close();
+  console.log("✔ prepared statement cache: reuse, LRU eviction, cleared on DDL");
+
+  // 21) instrumentation: onQuery, slowQueryMs warnings, explain() full-scan flags
+  const queries = [];
+  const qi = await AllezORM.init({ schemas, onQuery: info => queries.push(info) });
+  await qi.columns("users"); // table() reads PRAGMA table_info once; reported too
+  queries.length = 0;
+  await qi.table("users").insert({ email: "q@example.com" });
+  await qi.query("SELECT * FROM users WHERE email = ?", ["q@example.com"]);
+  await assert.rejects(qi.query("SELECT nope FROM users"));
+  assert.deepStrictEqual(queries.map(i => [i.rows, !!i.error]), [[1, false], [1, false], [0, true]]);
+  assert.deepStrictEqual(queries[1].params, ["q@example.com"]);
+  assert.ok(queries.every(i => typeof i.ms === "number" && i.ms >= 0));
+  queries.length = 0;
+  await qi.table("users").insertMany([{ email: "q1@example.com" }, { email: "q2@example.com" }]);
+  await assert.rejects(qi.table("users").insertMany([{ email: "q3@example.com" }, { email: "q1@example.com" }]), /UNIQUE/);
+  const bulkReports = queries.filter(i => i.sql.startsWith("INSERT INTO \"users\""));
+  assert.deepStrictEqual(bulkReports.map(i => [i.params[0], i.rows, !!i.error]),
+    [["q1@example.com", 1, false], ["q2@example.com", 1, false], ["q3@example.com", 1, false], ["q1@example.com", 0, true]],
+    "bulk writes report each row's statement");
+  const warned = [];
+  const origWarn = console.warn;
+  console.warn = (...args) => warned.push(args.join(" "));
+  qi.slowQueryMs = 0;
+  try {
+    await qi.get("SELECT count(*) AS n FROM users");
+  } finally {
+    console.warn = origWarn;
+    qi.slowQueryMs = null;
+  }
+  assert.ok(warned.length === 1 && warned[0].includes("slow query") && warned[0].includes("count(*)"));
+  const scan = await qi.explain("SELECT * FROM posts p WHERE p.title = ? AND p.user_id IN (SELECT id FROM users)", ["x"]);
+  assert.deepStrictEqual(scan.fullScans, ["p"]);
+  assert.ok(scan.plan.some(n => n.fullScan && n.detail === "SCAN p"));
+  assert.deepStrictEqual((await qi.explain("SELECT * FROM users WHERE email = ?", ["q@example.com"])).fullScans, []);
+  await qi.close();
+  console.log("✔ onQuery hook, slowQueryMs warnings and explain() full-scan flags");
+
+  // 22) sync: change log triggers, push/pull through a stand-in server, conflicts, cursor
+  const NotesSchema = {
+    table: "notes",
+    version: 1,
+    sync: true,
+    timestamps: true,
+    createSQL: `CREATE TABLE IF NOT EXISTS notes (id TEXT PRIMARY KEY, body TEXT, created_at TEXT, updated_at TEXT)`
+  };
+  const server = createMemorySyncServer({ pageSize: 2 });
+  const syncStorage = createMemoryStorage();
+  let na = await AllezORM.init({ storage: syncStorage, schemas: [NotesSchema] });
+  const nb = await AllezORM.init({ schemas: [NotesSchema] });
+  const ta = server.connect();
+  const tb = server.connect();
+  await na.table("notes").insert({ id: "n1", body: "one" });
+  await na.table("notes").insert({ id: "n2", body: "two" });
+  await na.table("notes").insert({ id: "n3", body: "three" });
+  await na.table("notes").update("n1", { body: "one!" });
+  assert.strictEqual((await na.query("SELECT * FROM allez_changes")).length, 3, "one log entry per row");
+  assert.deepStrictEqual(await na.sync(ta), { pulled: 0, pushed: 3, conflicts: 0 });
+  assert.deepStrictEqual(await na.query("SELECT * FROM allez_changes"), []);
+  assert.deepStrictEqual(await nb.sync(tb), { pulled: 3, pushed: 0, conflicts: 0 }, "pages until hasMore is false");
+  assert.deepStrictEqual(await nb.query("SELECT id, body FROM notes ORDER BY id"),
+    [{ id: "n1", body: "one!" }, { id: "n2", body: "two" }, { id: "n3", body: "three" }]);
+  assert.deepStrictEqual(await nb.query("SELECT * FROM allez_changes"), [], "pulled rows are not logged");
+
+  // last writer wins by updated_at, on both sides
+  await na.table("notes").update("n2", { body: "a-edit", updated_at: "2030-01-01T00:00:00.000Z" });
+  await nb.table("notes").update("n2", { body: "b-edit", updated_at: "2031-01-01T00:00:00.000Z" });
+  await na.sync(ta);
+  assert.deepStrictEqual(await nb.sync(tb), { pulled: 1, pushed: 1, conflicts: 1 });
+  assert.strictEqual((await nb.table("notes").findById("n2")).body, "b-edit");
+  await na.sync(ta);
+  assert.strictEqual((await na.table("notes").findById("n2")).body, "b-edit");
+
+  // custom merge: the merged row is kept locally and pushed
+  await na.table("notes").update("n3", { body: "A" });
+  await nb.table("notes").update("n3", { body: "B" });
+  await na.sync(ta);
+  await nb.sync({ ...tb, conflict: ({ local, remote }) => ({ body: `${local.row.body}+${remote.row.body}` }) });
+  await na.sync(ta);
+  assert.strictEqual((await na.table("notes").findById("n3")).body, "B+A");
+  assert.strictEqual((await nb.table("notes").findById("n3")).body, "B+A");
+
+  // deletes travel too, and the cursor survives a reopen
+  await nb.table("notes").remove("n1");
+  await nb.sync(tb);
+  await na.sync(ta);
+  assert.strictEqual(await na.table("notes").findById("n1"), undefined);
+  await na.close();
+  na = await AllezORM.init({ storage: syncStorage, schemas: [NotesSchema] });
+  assert.deepStrictEqual(await na.sync(ta), { pulled: 0, pushed: 0, conflicts: 0 });
+  assert.strictEqual((await na.query("SELECT key FROM allez_sync_state")).length, 1);
+  assert.deepStrictEqual((await na.query("SELECT table_name FROM allez_meta")).map(r => r.table_name), ["notes"],
+    "the cursor is not listed among table versions");
+  await assert.rejects(na.sync({ push: ta.push }), /pull/);
+  await na.close();
+  await nb.close();
+  await assert.rejects(
+    AllezORM.init({ schemas: [{ table: "nokey", sync: true, createSQL: "CREATE TABLE IF NOT EXISTS nokey (body TEXT)" }] }),
+    /needs a PRIMARY KEY/
+  );
+  console.log("✔ sync: change log, push/pull, last-writer-wins and custom merges, stored cursor");
+
+  // 23) column codecs: boolean/json/date/bigint through table(), raw SQL unchanged
+  const ThingsSchema = {
+    table: "things",
+    version: 1,
+    columns: { active: "boolean", meta: "json", due: "date", big: "bigint" },
+    createSQL: `CREATE TABLE IF NOT EXISTS things (id INTEGER PRIMARY KEY, active INTEGER, meta TEXT, due TEXT, big INTEGER, n INTEGER)`
+  };
+  const cd = await AllezORM.init({ schemas: [ThingsSchema] });
+  const things = cd.table("things");
+  const due = new Date("2030-01-02T03:04:05.000Z");
+  const { row: thing } = await things.insert({ active: true, meta: { tags: ["a"] }, due, big: 9007199254740993n, n: 5 }, { returning: true });
+  assert.deepStrictEqual(thing, { id: 1, active: true, meta: { tags: ["a"] }, due, big: 9007199254740993n, n: 5 });
+  assert.deepStrictEqual(await things.findById(1), thing);
+  assert.deepStrictEqual(await cd.get("SELECT active, meta, due, big FROM things"),
+    { active: 1, meta: '{"tags":["a"]}', due: "2030-01-02T03:04:05.000Z", big: 9007199254740992 }, "raw SQL is untouched");
+  assert.strictEqual(await things.where({ active: true }).count(), 1, "where() values are encoded");
+  assert.strictEqual(await things.where("due", "<", new Date("2031-01-01")).count(), 1);
+  await things.update(1, { active: false, meta: null });
+  const updated = await things.first();
+  assert.strictEqual(updated.active, false);
+  assert.strictEqual(updated.meta, null);
+  await assert.rejects(things.insert({ due: new Date("nope") }), /cannot encode "due" as date/);
+  await assert.rejects(cd.registerSchemas([{ ...ThingsSchema, columns: { active: "bool" } }]), /unknown codec "bool"/);
+  await things.insert({ active: "1", meta: [1, { b: "c,d" }], due, big: 2n });
+  assert.strictEqual(await things.where({ active: "false" }).count(), 1, "boolean text is parsed");
+  await assert.rejects(things.insert({ active: "no" }), /cannot encode "active" as boolean/);
+
+  // dumps carry stored values, so imports must not run them through the codecs again
+  const allThings = await things.orderBy("id").all();
+  const thingsJSON = await cd.exportJSON("things");
+  const thingsCSV = await cd.exportCSV("things");
+  for (const load of [db => db.importJSON({ things: thingsJSON }), db => db.importCSV("things", thingsCSV)]) {
+    const cd2 = await AllezORM.init({ schemas: [ThingsSchema] });
+    await load(cd2);
+    assert.deepStrictEqual(await cd2.table("things").orderBy("id").all(), allThings);
+    await cd2.close();
+  }
+  // CSV from other tools spells booleans out
+  assert.strictEqual(await cd.importCSV("things", "id,active\r\n10,false\r\n11,TRUE\r\n"), 2);
+  assert.deepStrictEqual((await things.where({ active: false }).all()).map(r => r.id), [1, 10]);
+  assert.deepStrictEqual((await things.where({ active: true }).all()).map(r => r.id), [2, 11]);
+  await assert.rejects(cd.importCSV("things", "id,active\r\n12,maybe\r\n"), /cannot encode "active" as boolean/);
+  await cd.exec("UPDATE things SET active = 'false' WHERE id = 11");
+  assert.strictEqual((await things.findById(11)).active, false, "boolean text decodes by meaning");
+  await cd.close();
+  console.log("✔ column codecs: boolean, json, date and bigint round-trip through table()");
+
+  // 24) validation rules: every failing column reported, partial updates, bulk row indexes
+  const MembersSchema = {
+    table: "members",
+    version: 1,
+    rules: {
+      email: { required: true, pattern: /^[^@\s]+@[^@\s]+$/ },
+      age: { min: 0, max: 150 },
+      role: { enum: ["admin", "member"] },
+      nick: { maxLength: 8, validate: v => v !== "root" || "nick is reserved" }
+    },
+    createSQL: `CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY, email TEXT, age INTEGER, role TEXT, nick TEXT)`
+  };
+  const vd = await AllezORM.init({ schemas: [MembersSchema] });
+  const members = vd.table("members");
+  await members.insert({ email: "a@b.c", age: 30, role: "admin", nick: "al" });
+  const invalid = await members.insert({ email: "nope", age: -1, role: "owner", nick: "root" }).catch(e => e);
+  assert.ok(invalid instanceof ValidationError);
+  assert.strictEqual(invalid.table, "members");
+  assert.deepStrictEqual(invalid.errors.map(e => [e.column, e.rule]),
+    [["email", "pattern"], ["age", "min"], ["role", "enum"], ["nick", "validate"]]);
+  assert.strictEqual(invalid.errors[3].message, "nick is reserved");
+  assert.deepStrictEqual(vd.validate("members", { age: 200 }).map(e => e.rule), ["required", "max"]);
+  assert.deepStrictEqual(vd.validate("members", { age: 200 }, { partial: true }).map(e => e.rule), ["max"]);
+  await members.update(1, { age: 31 }); // partial: email is not required here
+  await assert.rejects(members.update(1, { email: "" }), /email is required/);
+  const badBatch = await members.insertMany([{ email: "x@y.z" }, { email: "x@y.z", nick: "much-too-long" }]).catch(e => e);
+  assert.deepStrictEqual(badBatch.errors.map(e => [e.row, e.rule]), [[1, "maxLength"]]);
+  assert.strictEqual(await members.count(), 1, "nothing is written when any row is invalid");
+  await assert.rejects(vd.registerSchemas([{ ...MembersSchema, rules: { age: { minimum: 0 } } }]), /unknown rule "minimum"/);
+  await assert.rejects(vd.registerSchemas([{ ...MembersSchema, rules: { agee: { min: 0 } } }]), /agee/);
+  await vd.close();
+  console.log("✔ validation: structured ValidationError, validate(), partial updates, bulk row indexes");
+
+  // 25) keyset pagination: opaque cursors both ways, ties broken by the key, soft delete respected
+  const pg = await AllezORM.init({ schemas: [{
+    table: "feed",
+    version: 1,
+    softDelete: true,
+    createSQL: `CREATE TABLE IF NOT EXISTS feed (id INTEGER PRIMARY KEY, updated_at TEXT, deleted_at TEXT)`
+  }] });
+  const feed = pg.table("feed");
+  await feed.insertMany(Array.from({ length: 12 }, (_, i) => ({ id: i + 1, updated_at: i % 3 ? `2024-01-0${i % 5 + 1}` : null })));
+  await feed.deleteSoft(5);
+  const expected = (await feed.orderBy("updated_at", "desc").orderBy("id").all()).map(r => r.id);
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = await feed.paginate({ orderBy: [["updated_at", "desc"]], after: cursor, limit: 4 });
+    pages.push(page);
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepStrictEqual(pages.flatMap(p => p.rows.map(r => r.id)), expected, "forward pages cover every live row once");
+  assert.deepStrictEqual(pages.map(p => p.hasMore), [true, true, false]);
+  assert.strictEqual(pages[0].prevCursor, null);
+  const back = await feed.paginate({ orderBy: [["updated_at", "desc"]], before: pages[2].prevCursor, limit: 4 });
+  assert.deepStrictEqual(back.rows, pages[1].rows, "before: walks back to the previous page");
+  assert.strictEqual(back.hasMore, true);
+  await feed.insert({ id: 13, updated_at: "2030-01-01" }); // a new row does not shift later pages
+  assert.deepStrictEqual(await feed.paginate({ orderBy: [["updated_at", "desc"]], after: pages[0].nextCursor, limit: 4 }), pages[1]);
+  assert.strictEqual((await feed.withDeleted().paginate({ limit: 50 })).rows.length, 13);
+  await assert.rejects(feed.paginate({ orderBy: ["updated_at"], after: pages[0].nextCursor }), /cursor was made for orderBy/);
+  await assert.rejects(feed.paginate({ after: "not-a-cursor" }), /invalid cursor/);
+  await assert.rejects(feed.orderBy("id").paginate(), /orderBy\/limit options/);
+  await pg.close();
+  console.log("✔ paginate: keyset cursors forward and back, stable under inserts, soft delete respected");
+} finally {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
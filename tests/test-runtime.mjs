@@ -32,20 +32,38 @@ const code = (title, obj) => {
     await posts.insert({ id:"p1", title:"hello", user_id:"u1", created_at:now(), updated_at:now() });
     say("posts.insert with valid FK", true);
 
+    let badKey="";
+    try { await users.update("u1", { display_name:"X", notAColumn:1 }); } catch (e) { badKey=String(e.message); }
+    say("unknown payload column is rejected by name", badKey.includes('"notAColumn"'));
+
     let threw=false;
     try { await posts.insert({ id:"p2", title:"bad", user_id:"nope", created_at:now(), updated_at:now() }); } catch { threw=true; }
     say("FK violation throws", threw);
 
+    let rolledBack=false;
+    try {
+      await orm.transaction(async (tx) => {
+        await tx.table("posts").insert({ id:"p3", title:"tx", user_id:"u1", created_at:now(), updated_at:now() });
+        throw new Error("abort");
+      });
+    } catch { rolledBack=true; }
+    say("transaction rolls back on throw", rolledBack && !(await posts.findById("p3")));
+
     const res = await users.searchLike("x@", ["email"]);
     say("users.searchLike finds row", res.length>=1);
 
+    const listed = await posts.where({ user_id:"u1" }).orderBy("created_at","desc").limit(10).all();
+    say("posts.where().orderBy().limit().all()", listed.length===1 && listed[0].id==="p1");
+    say("posts.where().count()", (await posts.where("title","LIKE","hel%").count())===1);
+
     await users.deleteSoft("u1");
     const u1b = await orm.get("SELECT deleted_at FROM users WHERE id=?", ["u1"]);
     say("users.deleteSoft sets deleted_at", !!u1b?.deleted_at);
+    say("soft-deleted row hidden from findById", !(await users.findById("u1")));
 
     await orm.saveNow();
     const orm2 = await AllezORM.init({ dbName, schemas:[UsersSchema, PostsSchema] });
-    const again = await orm2.table("users").findById("u1");
+    const again = await orm2.table("users").findById("u1", { withDeleted:true });
     say("IndexedDB persistence survives re-init", !!again);
 
     const ok = logs.every(x=>x.ok);
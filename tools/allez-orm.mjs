@@ -4,7 +4,7 @@
  *
  * Generates a <table>.schema.js with:
  *  - CREATE TABLE with inline foreign keys:  col TYPE REFERENCES target(id) [ON DELETE ...]
- *  - Optional "stamps": created_at, updated_at, deleted_at
+ *  - Optional "stamps": created_at, updated_at, deleted_at (+ timestamps/softDelete schema flags)
  *  - Optional unique / not-null markers
  *  - Optional ON DELETE behavior for *all* FKs via --onDelete=
  *  - (No extraSQL output by default)
@@ -217,13 +217,16 @@ async function generateOne({ outDir, name, stamps, onDelete, force, fieldTokens
   const onDel = onDelete ? ({ cascade:"CASCADE", restrict:"RESTRICT", setnull:"SET NULL", noaction:"NO ACTION" })[onDelete] : null;
   const columnLines = fields.map(f => sqlForColumn(f, onDel));
 
+  // Let the runtime manage the stamp columns
+  const stampFlags = stamps ? `  timestamps: true,\n  softDelete: true,\n` : "";
+
   // Module text — no extraSQL emitted
   const moduleText =
 `// ${name}.schema.js (generated by tools/allez-orm.mjs)
 const ${camel(name)}Schema = {
   table: "${name}",
   version: 1,
-  createSQL: \`
+${stampFlags}  createSQL: \`
 CREATE TABLE IF NOT EXISTS ${name} (
   ${columnLines.join(",\n  ")}
 );\`
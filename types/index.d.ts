@@ -1,64 +1,657 @@
 // index.d.ts
 
+/**
+ * One upgrade step taking a table from the previous version to `version`.
+ * Runs in its own transaction and is recorded in allez_migrations.
+ */
+export interface Migration {
+  version: number;
+  up(tx: AllezORM): void | Promise<void>;
+  /** Required to roll back past this step with migrateTo(). */
+  down?(tx: AllezORM): void | Promise<void>;
+}
+
+/** Link to rows of another table; build with belongsTo / hasMany / hasOne. */
+export interface Relation {
+  type: "belongsTo" | "hasMany" | "hasOne";
+  /** Related table. */
+  table: string;
+  /** belongsTo: column on this table; hasMany/hasOne: column on `table`. */
+  foreignKey: string;
+  /** belongsTo: column on `table`; hasMany/hasOne: column on this table. Default "id". */
+  key: string;
+}
+
 export interface Schema {
   table: string;
   createSQL: string;
   extraSQL?: string[];
+  /** Defaults to the highest migration version, else 1. */
   version?: number;
+  migrations?: Migration[];
+  /** @deprecated Use `migrations`. */
   onUpgrade?(db: any, from: number, to: number): void | Promise<void>;
+  /** Relations usable in `include`, e.g. { author: belongsTo("users", "user_id") }. */
+  relations?: Record<string, Relation>;
+  /** true = created_at/updated_at, filled in by insert/upsert/update; `false` disables one. */
+  timestamps?: boolean | { createdAt?: string | false; updatedAt?: string | false };
+  /** true = deleted_at. Finders hide rows where it is set; deleteSoft/restore write it. */
+  softDelete?: boolean | string;
+  /** Key column(s) used by update/remove/findById/upsert (default "id"). */
+  primaryKey?: string | string[];
+  /**
+   * Full-text index (allez_fts_<table>, external content, kept in sync by triggers)
+   * used by table().search(). FTS5 when sql.js provides it, otherwise FTS4.
+   */
+  fts?: { columns: string[]; tokenize?: string };
+  /** Log row writes in allez_changes for sync(); the table needs a PRIMARY KEY. */
+  sync?: boolean;
+  /**
+   * Column codecs applied by table(): writes encode, reads decode, where() values
+   * are encoded too. Declare with `as const` to type rows via WithCodecs.
+   */
+  columns?: Record<string, ColumnCodec>;
+  /** Per-column rules checked by table() writes (ValidationError) and orm.validate(). */
+  rules?: Record<string, ColumnRule>;
+}
+
+/**
+ * Checks for one column. Apart from `required` (undefined, null or ""), rules skip
+ * null values. `message` replaces the built-in messages for the column.
+ */
+export interface ColumnRule {
+  required?: boolean;
+  /** Bounds for numbers, bigints and Dates. */
+  min?: number | bigint | Date;
+  max?: number | bigint | Date;
+  /** Length bounds for strings and arrays. */
+  minLength?: number;
+  maxLength?: number;
+  pattern?: RegExp;
+  enum?: readonly any[];
+  /** Return true to accept, false or a message to reject. */
+  validate?(value: any, row: Row): boolean | string;
+  message?: string;
+}
+
+export interface ValidationIssue {
+  column: string;
+  rule: "required" | "min" | "max" | "minLength" | "maxLength" | "pattern" | "enum" | "validate";
+  message: string;
+  /** Index into the rows passed to insertMany/upsertMany. */
+  row?: number;
+}
+
+/** Thrown by table() writes whose payload breaks the schema's rules; lists every failing column. */
+export class ValidationError extends Error {
+  name: "ValidationError";
+  table: string;
+  errors: ValidationIssue[];
+  constructor(op: string, table: string, errors: ValidationIssue[]);
+}
+
+/**
+ * "boolean": 0/1 <-> boolean (also accepts "0"/"1"/"true"/"false"). "json": TEXT <-> any JSON value. "date": ISO-8601
+ * TEXT (or epoch ms) <-> Date. "bigint": INTEGER <-> bigint, read without rounding.
+ */
+export type ColumnCodec = "boolean" | "json" | "date" | "bigint";
+
+/** JS type each codec decodes to. */
+export interface CodecTypes {
+  boolean: boolean;
+  json: any;
+  date: Date;
+  bigint: bigint;
+}
+
+/**
+ * Row type `T` with codec columns replaced by their decoded types (nullability kept), e.g.
+ * `orm.table<WithCodecs<Thing, typeof ThingsSchema.columns>>("things")`.
+ */
+export type WithCodecs<T extends Row, C extends Record<string, ColumnCodec> | undefined> = {
+  [K in keyof T]: C extends Record<string, ColumnCodec>
+    ? K extends keyof C ? CodecTypes[C[K]] | (null extends T[K] ? null : never) : T[K]
+    : T[K];
+};
+
+/**
+ * One row-level change exchanged by sync(). Upserts carry the whole row;
+ * `changedAt` is the row's updated_at (with timestamps) or the time of the write.
+ */
+export interface SyncChange {
+  table: string;
+  op: "upsert" | "delete";
+  pk: Record<string, any>;
+  row?: Row;
+  changedAt?: string;
+}
+
+export interface SyncTransport {
+  /** Resolve once the backend has stored the batch. */
+  push(changes: SyncChange[]): Promise<void>;
+  /** Changes since `cursor` (null on the first sync); called again while `hasMore`. */
+  pull(cursor: any): Promise<{ changes: SyncChange[]; cursor: any; hasMore?: boolean }>;
+}
+
+export interface SyncOptions extends SyncTransport {
+  /**
+   * How a pulled change to a row with unpushed local changes is resolved:
+   * "lww" (default) keeps the newer by updated_at, ties to the remote; a function
+   * returns the winning side or a merged row, which is kept locally and pushed.
+   */
+  conflict?: "lww" | ((c: { table: string; local: SyncChange; remote: SyncChange }) =>
+    "local" | "remote" | Row | Promise<"local" | "remote" | Row>);
+  /** Changes per push() call (default 500). */
+  batchSize?: number;
+}
+
+/**
+ * Persistence backend. `name` is dbName (or the file path for `filename`);
+ * `bytes` is a full SQLite image from db.export().
+ */
+export interface StorageAdapter {
+  load(name: string): Promise<Uint8Array | null>;
+  save(name: string, bytes: Uint8Array): Promise<void>;
+  remove(name: string): Promise<void>;
+  list(): Promise<string[]>;
+}
+
+/**
+ * How registerSchemas reconciles existing tables with their createSQL:
+ * "apply" (default) adds columns or rebuilds the table, "safe" only adds columns,
+ * "dry-run" reports the planned DDL, "off" skips diffing.
+ */
+export type SchemaDiffMode = "apply" | "safe" | "dry-run" | "off";
+
+export interface SchemaChange {
+  kind: "add" | "drop" | "alter" | "foreignKeys" | "unique";
+  column?: string;
+  from?: string;
+  to?: string;
+}
+
+/** Difference between a Schema's createSQL and the live table. */
+export interface SchemaPlan {
+  table: string;
+  /** "drop" entries are informational; columns are never dropped automatically. */
+  changes: SchemaChange[];
+  /** True when the change needs SQLite's create-copy-rename table rebuild. */
+  rebuild: boolean;
+  /** Statements that run, in order. */
+  statements: string[];
+  /** Existing indexes/triggers re-created (best effort) after a rebuild. */
+  recreate: string[];
 }
 
 export interface InitOptions {
   dbName?: string;
+  /** Node only: SQLite file to load from and auto-save to. */
+  filename?: string;
+  /** Where the database is persisted (default: IndexedDB in browsers, file storage with `filename`). `null` disables persistence. */
+  storage?: StorageAdapter | null;
+  /** Debounce before writes are saved (default 1500). */
   autoSaveMs?: number;
+  /** Longest a write waits while later writes keep pushing the save back (default 10000). */
+  autoSaveMaxWaitMs?: number;
   wasmLocateFile?(file: string): string;
   schemas?: Schema[];
   schemaModules?: Record<string, { default: Schema }>;
+  /** Reject (true, default) or silently drop (false) payload keys that are not table columns. */
+  strictColumns?: boolean;
+  /** Default diff mode for registerSchemas (default "apply"). */
+  schemaDiff?: SchemaDiffMode;
+  /**
+   * Browser: coordinate tabs that open the same database. One tab (elected with
+   * Web Locks) writes and persists; the others forward their writes to it and
+   * reload its image after each save. Needs navigator.locks and BroadcastChannel.
+   */
+  multiTab?: boolean;
+  /**
+   * Run sql.js and persistence in a dedicated worker; init() then resolves to an
+   * AllezWorkerDb. `true` uses allez-orm.worker.mjs; a URL names a custom worker
+   * script that calls exposeWorker(). Options sent to the worker must be
+   * structured-clone-safe.
+   */
+  worker?: boolean | string | URL;
+  /** Encrypt the stored database with AES-GCM; init() rejects on a wrong key or passphrase. */
+  encryption?: EncryptionOptions;
+  /** Prepared statements kept for reuse, keyed by SQL text (LRU; default 100, 0 disables). */
+  statementCacheSize?: number;
+  /** Called after every statement run by exec/execute/query/get and the table helpers (insertMany/upsertMany: once per row). */
+  onQuery?(info: QueryInfo): void;
+  /** console.warn statements that take at least this many milliseconds. */
+  slowQueryMs?: number;
+}
+
+export interface QueryOptions {
+  /** Return INTEGER values as bigint instead of (possibly rounded) numbers. */
+  bigint?: boolean;
+}
+
+export interface QueryInfo {
+  sql: string;
+  params: any[];
+  /** Wall time of the statement. */
+  ms: number;
+  /** Rows returned (reads) or changed (writes). */
+  rows: number;
+  /** Set when the statement failed. */
+  error?: unknown;
+}
+
+/** One EXPLAIN QUERY PLAN step; `fullScan` marks a table read without an index. */
+export interface PlanNode {
+  detail: string;
+  fullScan: boolean;
+  children: PlanNode[];
+}
+
+/**
+ * Exactly one of `key` (an AES-GCM CryptoKey, or 16/32 raw bytes) or `passphrase`
+ * (PBKDF2-SHA256; the random salt is stored with the encrypted image).
+ */
+export interface EncryptionOptions {
+  key?: CryptoKey | Uint8Array | ArrayBuffer;
+  passphrase?: string;
+  /** PBKDF2 rounds used when a new salt is generated (default 310000). */
+  iterations?: number;
 }
 
 export type Row = Record<string, any>;
 
-export interface TableHelper<T extends Row = Row> {
-  insert(obj: Partial<T>): Promise<void>;
-  upsert(obj: Partial<T>): Promise<void>;
-  update(id: any, patch: Partial<T>): Promise<void>;
-  deleteSoft(id: any, ts?: string): Promise<void>;
-  remove(id: any): Promise<void>;
-  findById(id: any): Promise<T | undefined>;
-  searchLike(q: string, columns: (keyof T | string)[], limit?: number): Promise<T[]>;
+/** Outcome of a write statement. */
+export interface WriteResult<T extends Row = Row> {
+  /** Rows inserted/updated/deleted by the statement (0 for DDL). */
+  changes: number;
+  /** Rowid of the most recent INSERT on this connection. */
+  lastInsertRowid: number;
+  /** The stored row, when the helper was called with `{ returning: true }` (undefined if none matched). */
+  row?: T;
+}
+
+/** Rows of one table written by one statement, or by one committed transaction. */
+export interface ChangeEvent {
+  table: string;
+  op: "insert" | "update" | "delete";
+  /** Rowids; empty when SQLite doesn't report them (e.g. DELETE without WHERE). */
+  ids: number[];
+}
+
+export interface ReturningOption {
+  /** Append RETURNING * and resolve the stored row as `row`. */
+  returning?: boolean;
+}
+
+export type WhereOperator =
+  | "=" | "!=" | "<>" | "<" | "<=" | ">" | ">="
+  | "LIKE" | "NOT LIKE" | "GLOB" | "IS" | "IS NOT";
+
+/**
+ * paginate() options. `orderBy` entries are "col" or [col, "desc"]; the primary key
+ * is appended as a tiebreaker. Pass a page's `nextCursor` as `after` and its
+ * `prevCursor` as `before`.
+ */
+export interface PaginateOptions<T extends Row = Row> {
+  orderBy?: Array<(keyof T & string) | string | [(keyof T & string) | string, "asc" | "desc" | "ASC" | "DESC"]>;
+  after?: string | null;
+  before?: string | null;
+  /** Rows per page (default 50). */
+  limit?: number;
+}
+
+export interface Page<T extends Row = Row> {
+  rows: T[];
+  /** Opaque cursors; null when there is nothing further that way. */
+  nextCursor: string | null;
+  prevCursor: string | null;
+  /** Whether rows remain past this page in the direction read. */
+  hasMore: boolean;
+}
+
+/** Immutable, chainable SELECT builder; every step returns a new query. */
+export interface TableQuery<T extends Row = Row> {
+  /** Equality on each key (null -> IS NULL, undefined skipped), AND-ed together. */
+  where(conditions: Partial<T>): TableQuery<T>;
+  where(column: (keyof T & string) | string, op: WhereOperator, value: any): TableQuery<T>;
+  whereIn(column: (keyof T & string) | string, values: any[]): TableQuery<T>;
+  orderBy(column: (keyof T & string) | string, dir?: "asc" | "desc" | "ASC" | "DESC"): TableQuery<T>;
+  limit(n: number): TableQuery<T>;
+  offset(n: number): TableQuery<T>;
+  select<K extends keyof T & string>(columns: K[]): TableQuery<Pick<T, K>>;
+  /** Eager-load schema relations; dotted paths nest ("posts.comments"). */
+  include(paths: string | string[]): TableQuery<T>;
+  /** Include soft-deleted rows (hidden by default when the schema declares softDelete). */
+  withDeleted(): TableQuery<T>;
+  /** Only soft-deleted rows. */
+  onlyDeleted(): TableQuery<T>;
+  all(): Promise<T[]>;
+  first(): Promise<T | undefined>;
+  /** COUNT(*) of matching rows (ignores orderBy/limit/offset). */
+  count(): Promise<number>;
+  /** Keyset pagination with opaque cursors; chain where()/select()/include() but not orderBy()/limit()/offset(). */
+  paginate(options?: PaginateOptions<T>): Promise<Page<T>>;
+  /** Compiled SQL and bound parameters. */
+  toSQL(): { sql: string; params: any[] };
+}
+
+export interface FindOptions {
+  /** Relation paths to eager-load, e.g. ["author", "posts.comments"]. */
+  include?: string[];
+  /** Also return soft-deleted rows. */
+  withDeleted?: boolean;
+}
+
+export interface SearchMarkup {
+  /** Default "<mark>". */
+  open?: string;
+  /** Default "</mark>". */
+  close?: string;
+}
+
+export interface SearchOptions extends FindOptions {
+  limit?: number;
+  offset?: number;
+  /** Add `_highlight`: each fts column with matches wrapped (not HTML-escaped). */
+  highlight?: boolean | SearchMarkup;
+  /** Add `_snippet`: the best matching fragment. */
+  snippet?: boolean | (SearchMarkup & { ellipsis?: string; tokens?: number });
+  /** Pass `q` as MATCH syntax instead of matching each word as a prefix. */
+  raw?: boolean;
+}
+
+export type SearchResult<T extends Row = Row> = T & {
+  _highlight?: Record<string, string | null>;
+  _snippet?: string;
+};
+
+export interface ImportOptions {
+  /** How rows colliding with existing keys are handled (default "abort"). */
+  onConflict?: "abort" | "ignore" | "replace";
+}
+
+/** A primary key value, or an object of key columns (required for composite keys). */
+export type RowKey<T extends Row = Row> = string | number | bigint | Partial<T>;
+
+export interface UpsertOptions<T extends Row = Row> {
+  /** Column(s) of a PRIMARY KEY or UNIQUE index to detect conflicts on (default: primary key). */
+  conflict?: (keyof T & string) | (keyof T & string)[];
+  /** Columns overwritten on conflict (default: every other payload column). `[]` = DO NOTHING. */
+  update?: (keyof T & string)[];
+}
+
+export interface InsertManyOptions {
+  /** Rows between yields to the event loop (default 500). */
+  chunkSize?: number;
+  /** SQLite conflict handling (default "abort"). */
+  onConflict?: "abort" | "ignore" | "replace";
+  /** Also return each row's rowid (null when ignored). */
+  returnIds?: boolean;
+  /** Store values as given, skipping column codecs and validation rules. */
+  raw?: boolean;
+}
+
+export interface BulkResult {
+  /** Rows inserted or updated. */
+  count: number;
+  /** Present with `returnIds`; aligned with the input rows. */
+  ids?: (number | null)[];
+}
+
+export interface TableHelper<T extends Row = Row> extends TableQuery<T> {
+  insert(obj: Partial<T>, options?: ReturningOption): Promise<WriteResult<T>>;
+  upsert(obj: Partial<T>, options?: UpsertOptions<T> & ReturningOption): Promise<WriteResult<T>>;
+  /** Insert rows in one transaction (prepared statements reused, one save at the end). */
+  insertMany(rows: Partial<T>[], options?: InsertManyOptions): Promise<BulkResult>;
+  /** upsert() for many rows in one transaction. */
+  upsertMany(rows: Partial<T>[], options?: UpsertOptions<T> & { chunkSize?: number }): Promise<BulkResult>;
+  update(key: RowKey<T>, patch: Partial<T>, options?: ReturningOption): Promise<WriteResult<T>>;
+  /** Set the schema's softDelete column (without one: a deleted_at or deletedAt column). */
+  deleteSoft(key: RowKey<T>, ts?: string): Promise<WriteResult<T>>;
+  /** Clear the soft-delete marker. */
+  restore(key: RowKey<T>): Promise<WriteResult<T>>;
+  remove(key: RowKey<T>): Promise<WriteResult<T>>;
+  /** Find by primary key (a bare value, or an object for composite keys). */
+  findById(key: RowKey<T>, options?: FindOptions): Promise<T | undefined>;
+  /** Full-text search over the schema's `fts` columns, best matches (bm25) first. */
+  search(q: string, options?: SearchOptions): Promise<SearchResult<T>[]>;
+  searchLike(q: string, columns: (keyof T | string)[], limit?: number, options?: FindOptions): Promise<T[]>;
 }
 
 export class AllezORM {
   constructor(SQL: any, db: any, opts: InitOptions);
 
+  /** Active persistence backend (null when not persisting). */
+  storage: StorageAdapter | null;
+
   /** Initialize (loads sql.js, restores from IndexedDB, applies schemas). */
+  static init(opts: InitOptions & { worker: true | string | URL }): Promise<AllezWorkerDb>;
   static init(opts?: InitOptions): Promise<AllezORM>;
 
-  /** Persist the current database to IndexedDB immediately. */
+  /**
+   * Persist the current database (IndexedDB, or `filename` in Node) immediately.
+   * Only one save runs at a time; calls made meanwhile are folded into one more pass.
+   */
   saveNow(): Promise<void>;
 
-  /** Execute arbitrary SQL and auto-save (convenience, returns true). */
+  /** Resolve once every write made so far is saved (no-op when nothing is pending). */
+  flush(): Promise<void>;
+
+  /** True while writes are waiting to be saved or a save is in flight. */
+  readonly unsaved: boolean;
+
+  /**
+   * Re-encrypt the stored database with new settings (a passphrase gets a fresh salt),
+   * or store it unencrypted with null. Leader tab only in multiTab mode.
+   */
+  rekey(encryption: EncryptionOptions | null): Promise<void>;
+
+  /** Flush any pending save and release the sql.js handle. */
+  close(): Promise<void>;
+
+  /** Execute arbitrary SQL and schedule an auto-save (convenience, returns true). */
   exec(sql: string, params?: any[]): Promise<boolean>;
 
   /** Alias for exec. */
   run(sql: string, params?: any[]): Promise<boolean>;
 
+  /**
+   * Run `fn` in a transaction (BEGIN/COMMIT, ROLLBACK on throw). Do its work
+   * through `tx`: writes and transactions started elsewhere on the instance wait
+   * until this one ends. In Node, calls on the instance (or on helpers built from
+   * it) made inside `fn` join the transaction; browsers can't tell them apart, so
+   * there they wait too. `tx.transaction()` nests with a SAVEPOINT; persistence
+   * waits for the outermost commit.
+   */
+  transaction<R>(fn: (tx: AllezORM) => R | Promise<R>): Promise<R>;
+
+  /** True while a transaction() callback is running. */
+  readonly inTransaction: boolean;
+
+  /** False in a multiTab follower tab, which forwards its writes to the leader tab. */
+  readonly isLeader: boolean;
+
+  /**
+   * Subscribe to change events (emitted after each write, or after the outermost
+   * commit; rolled-back writes are never reported). Returns an unsubscribe function.
+   */
+  on(event: "change", listener: (e: ChangeEvent) => void): () => void;
+  /** Persistence status: a save started, finished (`pending`: writes made meanwhile), or failed. */
+  on(event: "saving", listener: () => void): () => void;
+  on(event: "saved", listener: (e: { pending: boolean }) => void): () => void;
+  on(event: "saveError", listener: (e: { error: unknown }) => void): () => void;
+  off(event: "change" | "saving" | "saved" | "saveError", listener: (...args: any[]) => void): void;
+
+  /**
+   * Run a query now and again whenever a table it reads changes.
+   * Returns a function that stops the subscription.
+   */
+  live<T = Row>(
+    sql: string,
+    params: any[],
+    cb: (rows: T[]) => void,
+    options?: { onError?: (err: unknown) => void }
+  ): () => void;
+
   /** Low-level execute; schedules a debounced save. */
-  execute(sql: string, params?: any[]): Promise<void>;
+  execute(sql: string, params?: any[]): Promise<WriteResult>;
 
   /** SELECT helper returning plain objects. */
-  query<T = Row>(sql: string, params?: any[]): Promise<T[]>;
+  query<T = Row>(sql: string, params?: any[], options?: QueryOptions): Promise<T[]>;
 
   /** SELECT one row (undefined if no row). */
-  get<T = Row>(sql: string, params?: any[]): Promise<T | undefined>;
+  get<T = Row>(sql: string, params?: any[], options?: QueryOptions): Promise<T | undefined>;
+
+  /**
+   * EXPLAIN QUERY PLAN as a tree, plus the tables (or their aliases) read with a
+   * full scan, which usually point at a missing index.
+   */
+  explain(sql: string, params?: any[]): Promise<{ plan: PlanNode[]; fullScans: string[] }>;
+
+  /** Instrumentation hooks; can be changed at runtime. */
+  onQuery: ((info: QueryInfo) => void) | null;
+  slowQueryMs: number | null;
+
+  /** Registered Schema for a table, if any. */
+  schema(table: string): Schema | undefined;
+
+  /**
+   * Check `obj` against the schema's rules as insert/upsert do; `partial` checks
+   * only the columns present, as update does. Empty when valid.
+   */
+  validate(table: string, obj: Row, options?: { partial?: boolean }): ValidationIssue[];
+
+  /** Column names of a table (PRAGMA table_info), cached until the next DDL. */
+  columns(table: string): Promise<string[]>;
 
   /** Table-scoped helpers. */
   table<T extends Row = Row>(table: string): TableHelper<T>;
 
-  /** Register / upgrade schemas. */
-  registerSchemas(schemas: Schema[]): Promise<void>;
+  /** Attach related rows for each include path to `rows` (in place, batched IN queries). */
+  loadRelations<R extends Row>(table: string, rows: R[], include: string[]): Promise<R[]>;
+
+  /**
+   * Register / upgrade schemas, then diff existing tables; resolves to the plans found.
+   * Tables already at a newer version than their schema are left untouched.
+   */
+  registerSchemas(schemas: Schema[], options?: { diff?: SchemaDiffMode }): Promise<SchemaPlan[]>;
+
+  /** Compare a Schema with its live table; null when identical or the table is missing. */
+  diffSchema(schema: Schema): Promise<SchemaPlan | null>;
+
+  /** Run up() or down() steps until a registered table is at `version`; resolves to that version. */
+  migrateTo(table: string, version: number): Promise<number>;
+
+  /** The whole database as a SQLite file image (plaintext, even with `encryption`). */
+  exportDatabase(): Promise<Uint8Array>;
+
+  /**
+   * Validate a SQLite file and store it under `name`, replacing the saved database.
+   * Close open instances of it first, or their next save overwrites the import.
+   * With `opts.encryption` the stored copy is encrypted.
+   */
+  static importDatabase(name: string, bytes: Uint8Array | ArrayBuffer, opts?: InitOptions): Promise<void>;
+
+  /** Rows of one table; BLOBs become { $base64 }, integers beyond 2^53 { $bigint }. */
+  exportJSON<T = Row>(table: string): Promise<T[]>;
+  /** Every application table (parents first), keyed by name. */
+  exportJSON(): Promise<Record<string, Row[]>>;
+
+  /** CSV (header row, CRLF) of one table; NULL is an empty field, "" a quoted empty field, BLOBs base64. */
+  exportCSV(table: string): Promise<string>;
+  exportCSV(): Promise<Record<string, string>>;
+
+  /**
+   * Insert { table: rows[] } in one transaction, parent tables first, with FK checks
+   * deferred to commit. Values are stored as given (no codecs or validation), except
+   * that text in boolean columns ("true", "0", ...) becomes 1/0. Resolves to the rows
+   * inserted per table.
+   */
+  importJSON(data: Record<string, Row[]>, options?: ImportOptions & { columns?: Record<string, Record<string, string>> }): Promise<Record<string, number>>;
+
+  /** Insert CSV rows (header first) into `table`; `columns` maps header names to columns. BLOB columns read base64. */
+  importCSV(table: string, csv: string, options?: ImportOptions & { columns?: Record<string, string> }): Promise<number>;
+
+  /**
+   * Pull remote changes since the stored cursor, resolve conflicts, then push the
+   * local change log of `sync` tables. Concurrent calls share the run in progress.
+   */
+  sync(options: SyncOptions): Promise<{ pulled: number; pushed: number; conflicts: number }>;
+}
+
+/** TableQuery over a worker: the same chain, with toSQL() resolving asynchronously. */
+export interface WorkerTableQuery<T extends Row = Row> {
+  where(conditions: Partial<T>): WorkerTableQuery<T>;
+  where(column: (keyof T & string) | string, op: WhereOperator, value: any): WorkerTableQuery<T>;
+  whereIn(column: (keyof T & string) | string, values: any[]): WorkerTableQuery<T>;
+  orderBy(column: (keyof T & string) | string, dir?: "asc" | "desc" | "ASC" | "DESC"): WorkerTableQuery<T>;
+  limit(n: number): WorkerTableQuery<T>;
+  offset(n: number): WorkerTableQuery<T>;
+  select<K extends keyof T & string>(columns: K[]): WorkerTableQuery<Pick<T, K>>;
+  include(paths: string | string[]): WorkerTableQuery<T>;
+  withDeleted(): WorkerTableQuery<T>;
+  onlyDeleted(): WorkerTableQuery<T>;
+  all(): Promise<T[]>;
+  first(): Promise<T | undefined>;
+  count(): Promise<number>;
+  paginate(options?: PaginateOptions<T>): Promise<Page<T>>;
+  toSQL(): Promise<{ sql: string; params: any[] }>;
 }
 
+export interface WorkerTableHelper<T extends Row = Row>
+  extends WorkerTableQuery<T>, Omit<TableHelper<T>, keyof TableQuery<T>> {}
+
+/**
+ * Proxy returned by openWorkerDb() / init({ worker }). Arguments and results are
+ * structured-cloned; loadRelations() resolves to copies rather than filling rows in place.
+ */
+export interface AllezWorkerDb extends Pick<AllezORM,
+  | "saveNow" | "flush" | "rekey" | "close" | "exec" | "run" | "execute" | "query" | "get" | "explain" | "columns"
+  | "loadRelations" | "registerSchemas" | "diffSchema" | "migrateTo" | "on" | "off" | "live"
+  | "inTransaction" | "exportDatabase" | "exportJSON" | "exportCSV" | "importJSON" | "importCSV"> {
+  transaction<R>(fn: (tx: AllezWorkerDb) => R | Promise<R>): Promise<R>;
+  table<T extends Row = Row>(table: string): WorkerTableHelper<T>;
+  validate(table: string, obj: Row, options?: { partial?: boolean }): Promise<ValidationIssue[]>;
+}
+
+/** Start AllezORM in a dedicated worker (`opts.worker`: true or a worker script URL). */
+export function openWorkerDb(opts?: InitOptions): Promise<AllezWorkerDb>;
+
+/**
+ * Serve openWorkerDb() from a worker script. `defaults` are merged into the options
+ * sent by the main thread (schemas concatenated), e.g. schemas with migrations.
+ */
+export function exposeWorker(defaults?: InitOptions): Promise<void>;
+
+/** This table's `foreignKey` references `key` (default "id") of `table`. */
+export function belongsTo(table: string, foreignKey: string, options?: { key?: string }): Relation;
+
+/** Rows of `table` whose `foreignKey` references this table's `key` (default "id"). */
+export function hasMany(table: string, foreignKey: string, options?: { key?: string }): Relation;
+
+/** Like hasMany, but loads a single row (or null). */
+export function hasOne(table: string, foreignKey: string, options?: { key?: string }): Relation;
+
+/** IndexedDB storage (browser default): one record per database in a single object store. */
+export function createIndexedDbStorage(options?: { dbName?: string; storeName?: string }): StorageAdapter;
+
+/** Origin Private File System storage: one file per database under `dir`. */
+export function createOpfsStorage(options?: { dir?: string }): StorageAdapter;
+
+/** In-memory storage (tests, SSR, throwaway sessions). */
+export function createMemoryStorage(): StorageAdapter;
+
+/**
+ * In-process stand-in for a sync backend (tests, demos). Each connect() returns a
+ * transport for one client, which doesn't pull its own changes back.
+ */
+export function createMemorySyncServer(options?: { pageSize?: number }): {
+  readonly changes: SyncChange[];
+  connect(): SyncTransport;
+};
+
+/** Node filesystem storage; names resolve against `dir` (default: cwd). */
+export function createFileStorage(options?: { dir?: string }): StorageAdapter;
+
 /** Open (or reuse) a browser DB by name. */
 export function openBrowserDb(name: string, opts?: InitOptions): Promise<AllezORM>;
 
@@ -70,6 +663,6 @@ export function applySchemas(db: AllezORM, schemas?: Schema[]): Promise<void>;
 
 /** Convenience helpers that operate on an AllezORM instance. */
 export function query<T = Row>(db: AllezORM, sql: string, params?: any[]): Promise<T[]>;
-export function exec(db: AllezORM, sql: string, params?: any[]): Promise<void>;
+export function exec(db: AllezORM, sql: string, params?: any[]): Promise<WriteResult>;
 
 export default AllezORM;